@@ -1,7 +1,9 @@
 /**
  * MTG Day 2 Calculator
  * Determines if you can make Day 2 based on current record, remaining rounds,
- * and the point threshold. Considers wins, losses, and draws.
+ * and the point threshold. Considers wins, losses, and draws. When a number
+ * or a share of the field advances instead of a point total, the Day 2 cut
+ * and the chance of each outcome come from the simulated Day 1 standings.
  */
 
 (function () {
@@ -13,6 +15,27 @@
     var totalRoundsInput = document.getElementById('total-rounds');
     var thresholdInput = document.getElementById('threshold');
     var thresholdHint = document.getElementById('threshold-hint');
+    var advancementRuleInput = document.getElementById('advancement-rule');
+    var playersGroup = document.getElementById('players-group');
+    var playersInput = document.getElementById('players');
+    var thresholdGroup = document.getElementById('threshold-group');
+    var advanceCountGroup = document.getElementById('advance-count-group');
+    var advanceCountLabel = document.getElementById('advance-count-label');
+    var advanceCountInput = document.getElementById('advance-count');
+    var estimatedThresholdHint = document.getElementById('estimated-threshold-hint');
+    var scenariosBarHeader = document.getElementById('scenarios-bar-header');
+    var inProgressToggle = document.getElementById('in-progress');
+    var roundTracker = document.getElementById('round-tracker');
+    var roundTrackerGrid = document.getElementById('round-tracker-grid');
+    var quickActions = document.getElementById('quick-actions');
+    var recordInputs = document.getElementById('record-inputs');
+
+    var roundResults = []; // 'W', 'L', 'D' or null per Day 1 round
+    var recalcTimer = null;
+    var hintTimer = null;
+
+    // A player-based cut simulates the whole field: wait for the typed value to settle
+    var ADVANCEMENT_DEBOUNCE_MS = 300;
     var winsInput = document.getElementById('wins');
     var lossesInput = document.getElementById('losses');
     var drawsInput = document.getElementById('draws');
@@ -28,32 +51,237 @@
     var scenariosBody = document.getElementById('scenarios-body');
 
     // =====================
-    // Core Math
+    // Storage
     // =====================
 
-    function getMatchPoints(wins, draws) {
-        return wins * 3 + draws * 1;
+    var DAY2_STORAGE_KEY = 'mtg_day2_data';
+
+    function saveDay2Data() {
+        MtgStorage.set(DAY2_STORAGE_KEY, {
+            totalRounds: totalRoundsInput.value,
+            threshold: thresholdInput.value,
+            advancementRule: advancementRuleInput.value,
+            players: playersInput.value,
+            advanceCount: advanceCountInput.value,
+            inProgress: inProgressToggle.checked,
+            roundResults: roundResults,
+            wins: winsInput.value,
+            losses: lossesInput.value,
+            draws: drawsInput.value
+        });
+    }
+
+    function loadDay2Data() {
+        var data = MtgStorage.get(DAY2_STORAGE_KEY);
+        if (!data || typeof data !== 'object') return;
+        totalRoundsInput.value = MtgCore.sanitizeInt(data.totalRounds, parseInt(totalRoundsInput.value) || 0, 1, 20);
+        thresholdInput.value = MtgCore.sanitizeInt(data.threshold, parseInt(thresholdInput.value) || 0, 0, 60);
+        advancementRuleInput.value = ADVANCEMENT_RULES.indexOf(data.advancementRule) !== -1 ? data.advancementRule : 'points';
+        playersInput.value = MtgCore.sanitizeInt(data.players, parseInt(playersInput.value) || 0, 2, 10000);
+        advanceCountInput.value = MtgCore.sanitizeInt(data.advanceCount, parseInt(advanceCountInput.value) || 0, 1, 10000);
+        winsInput.value = MtgCore.sanitizeInt(data.wins, 0, 0, 20);
+        lossesInput.value = MtgCore.sanitizeInt(data.losses, 0, 0, 20);
+        drawsInput.value = MtgCore.sanitizeInt(data.draws, 0, 0, 20);
+        inProgressToggle.checked = Boolean(data.inProgress);
+        roundResults = sanitizeRoundResults(data.roundResults);
+    }
+
+    function sanitizeRoundResults(raw) {
+        if (!Array.isArray(raw)) return [];
+        return raw.slice(0, 20).map(function (item) {
+            return (item === 'W' || item === 'L' || item === 'D') ? item : null;
+        });
     }
 
+    // =====================
+    // Advancement Rules
+    // =====================
+
+    var ADVANCEMENT_RULES = ['points', 'top-n', 'top-percent'];
+
     /**
-     * Generate all combinations of W/L/D for a number of remaining rounds
+     * The Day 2 cut from the selected rule. For the player-based rules the
+     * threshold is the lowest point total that makes the cut at least half of
+     * the time in the simulated Day 1 standings. The simulation, unlike the
+     * exact expected counts, spreads the tie at the cut across tournaments, so
+     * the chance falls off gradually around the threshold.
+     * @returns {{ threshold: number, advancing: number|null, model: Object|null }}
+     *   advancing and model are null for a fixed point threshold
      */
-    function generateScenarios(remaining) {
-        var scenarios = [];
-        for (var w = remaining; w >= 0; w--) {
-            for (var d = remaining - w; d >= 0; d--) {
-                var l = remaining - w - d;
-                scenarios.push({ extraWins: w, extraLosses: l, extraDraws: d });
+    function getAdvancement() {
+        var rule = advancementRuleInput.value;
+        if (rule !== 'top-n' && rule !== 'top-percent') {
+            return { threshold: parseInt(thresholdInput.value) || 0, advancing: null, model: null };
+        }
+
+        var players = MtgCore.sanitizeInt(playersInput.value, 0, 0, 10000);
+        var totalRounds = MtgCore.sanitizeInt(totalRoundsInput.value, 0, 0, 20);
+        var count = MtgCore.sanitizeInt(advanceCountInput.value, 0, 0, 10000);
+        var advancing = rule === 'top-n' ? count : Math.ceil(players * Math.min(count, 100) / 100);
+        advancing = Math.min(advancing, players);
+        if (players < 2 || totalRounds < 1 || advancing < 1) return { threshold: 0, advancing: null, model: null };
+
+        var model = SwissModel.runSimulation(players, totalRounds);
+        var threshold = MtgCore.getThresholdPoints(model, players, advancing);
+        return { threshold: threshold, advancing: advancing, model: model };
+    }
+
+    function onAdvancementRuleChange() {
+        var rule = advancementRuleInput.value;
+        var byPlayers = rule === 'top-n' || rule === 'top-percent';
+        thresholdGroup.classList.toggle('hidden', byPlayers);
+        playersGroup.classList.toggle('hidden', !byPlayers);
+        advanceCountGroup.classList.toggle('hidden', !byPlayers);
+        advanceCountLabel.textContent = rule === 'top-percent' ? 'Share of Players Advancing (%)' : 'Players Advancing';
+        advanceCountInput.max = rule === 'top-percent' ? 100 : 10000;
+        updateThresholdHint();
+    }
+
+    // =====================
+    // Round Tracker
+    // =====================
+
+    var RESULT_CLASSES = { W: 'selected-win', L: 'selected-loss', D: 'selected-draw' };
+
+    function buildRoundTracker() {
+        var totalRounds = MtgCore.sanitizeInt(totalRoundsInput.value, 0, 0, 20);
+        while (roundResults.length < totalRounds) roundResults.push(null);
+        while (roundResults.length > totalRounds) roundResults.pop();
+
+        roundTrackerGrid.innerHTML = '';
+        for (var r = 0; r < totalRounds; r++) {
+            var row = document.createElement('div');
+            row.className = 'round-row';
+            if (roundResults[r] !== null) row.classList.add('round-filled');
+
+            // Sequential: a round opens once the previous one is logged
+            var enabled = (r === 0 || roundResults[r - 1] !== null || roundResults[r] !== null);
+            if (!enabled) row.classList.add('round-disabled');
+
+            var label = document.createElement('span');
+            label.className = 'round-number';
+            label.textContent = 'R' + (r + 1);
+
+            var buttons = document.createElement('div');
+            buttons.className = 'round-buttons';
+            ['W', 'L', 'D'].forEach(function (result) {
+                var btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'round-btn';
+                btn.textContent = result;
+                btn.setAttribute('data-round', r);
+                btn.setAttribute('data-result', result);
+                if (roundResults[r] === result) btn.classList.add(RESULT_CLASSES[result]);
+                btn.addEventListener('click', onRoundBtnClick);
+                buttons.appendChild(btn);
+            });
+
+            row.appendChild(label);
+            row.appendChild(buttons);
+            if (roundResults[r] !== null) {
+                var clearBtn = document.createElement('button');
+                clearBtn.type = 'button';
+                clearBtn.className = 'round-btn-clear';
+                clearBtn.textContent = 'clear';
+                clearBtn.setAttribute('data-round', r);
+                clearBtn.addEventListener('click', onRoundClear);
+                row.appendChild(clearBtn);
             }
+            roundTrackerGrid.appendChild(row);
         }
-        return scenarios;
+    }
+
+    function onRoundBtnClick(e) {
+        var round = parseInt(e.currentTarget.getAttribute('data-round'), 10);
+        roundResults[round] = e.currentTarget.getAttribute('data-result');
+        onRoundsChange();
+    }
+
+    function onRoundClear(e) {
+        var round = parseInt(e.currentTarget.getAttribute('data-round'), 10);
+        // Clear this round and all later rounds
+        for (var i = round; i < roundResults.length; i++) roundResults[i] = null;
+        onRoundsChange();
+    }
+
+    function onRoundsChange() {
+        buildRoundTracker();
+        updateRecordDisplay();
+        saveDay2Data();
+        scheduleRecalculate();
+    }
+
+    function onToggleChange() {
+        var tracking = inProgressToggle.checked;
+        recordInputs.classList.toggle('hidden', tracking);
+        roundTracker.classList.toggle('hidden', !tracking);
+        quickActions.classList.toggle('hidden', !tracking);
+        if (tracking) buildRoundTracker();
+        updateRecordDisplay();
+    }
+
+    function getRecordFromTracker() {
+        var record = { wins: 0, losses: 0, draws: 0 };
+        roundResults.forEach(function (result) {
+            if (result === 'W') record.wins++;
+            else if (result === 'L') record.losses++;
+            else if (result === 'D') record.draws++;
+        });
+        return record;
+    }
+
+    // =====================
+    // Widget & Quick Actions
+    // =====================
+
+    function getUrlParameter(name) {
+        var match = new RegExp('[?&]' + name + '=([^&#]*)').exec(window.location.search);
+        return match === null ? '' : decodeURIComponent(match[1].replace(/\+/g, ' '));
+    }
+
+    function quickAddResult(resultType) {
+        var code = MtgCore.QUICK_RESULT_CODES[resultType];
+        if (!code || !inProgressToggle.checked) return;
+        buildRoundTracker();
+        var nextRound = roundResults.indexOf(null);
+        if (nextRound === -1) {
+            MtgUi.showToast('All Day 1 rounds are already logged');
+            return;
+        }
+        roundResults[nextRound] = code;
+        onRoundsChange();
+        MtgUi.showToast(resultType.toUpperCase() + ' logged for round ' + (nextRound + 1));
+    }
+
+    function updateBadge() {
+        // Display current points on the app icon (Badging API)
+        if (!('setAppBadge' in navigator)) return;
+        var points = MtgCore.getMatchPoints(parseInt(winsInput.value) || 0, parseInt(drawsInput.value) || 0);
+        var request = points > 0 ? navigator.setAppBadge(points) : navigator.clearAppBadge();
+        request.catch(function () { console.log('Badge API not available'); });
     }
 
     // =====================
     // UI
     // =====================
 
+    function scheduleThresholdHint() {
+        if (hintTimer !== null) clearTimeout(hintTimer);
+        hintTimer = setTimeout(function () {
+            hintTimer = null;
+            updateThresholdHint();
+        }, ADVANCEMENT_DEBOUNCE_MS);
+    }
+
     function updateThresholdHint() {
+        var advancement = getAdvancement();
+        if (advancement.advancing !== null) {
+            estimatedThresholdHint.textContent = 'Top ' + advancement.advancing + ' of ' + playersInput.value +
+                ' players: about ' + advancement.threshold + ' points needed';
+        } else {
+            estimatedThresholdHint.textContent = '';
+        }
+
         var threshold = parseInt(thresholdInput.value) || 0;
         var totalRounds = parseInt(totalRoundsInput.value) || 0;
 
@@ -72,16 +300,24 @@
     }
 
     function updateRecordDisplay() {
+        if (inProgressToggle.checked) {
+            // The tracker drives the record inputs
+            var record = getRecordFromTracker();
+            winsInput.value = record.wins;
+            lossesInput.value = record.losses;
+            drawsInput.value = record.draws;
+        }
         var w = parseInt(winsInput.value) || 0;
         var l = parseInt(lossesInput.value) || 0;
         var d = parseInt(drawsInput.value) || 0;
-        var pts = getMatchPoints(w, d);
+        var pts = MtgCore.getMatchPoints(w, d);
         var played = w + l + d;
         var totalRounds = parseInt(totalRoundsInput.value) || 0;
 
-        recordDisplay.textContent = w + '-' + l + '-' + d;
+        recordDisplay.textContent = MtgCore.formatRecord(w, l, d);
         pointsDisplay.textContent = '(' + pts + ' points)';
         roundsPlayedDisplay.textContent = '| Round ' + played + ' of ' + totalRounds;
+        updateBadge();
     }
 
     function buildPointsBarHTML(points, threshold) {
@@ -114,7 +350,26 @@
             '</div>';
     }
 
-    function getDay2Status(points, threshold) {
+    // Day 2 wording of the shared status levels
+    var DAY2_STATUS_TEXT = {
+        'status-safe': 'Safe',
+        'status-likely': 'Day 2',
+        'status-possible': 'Close',
+        'status-unlikely': 'Tough',
+        'status-out': 'Eliminated'
+    };
+
+    /**
+     * Status of a final point total. With a player-based rule, `probability`
+     * (0-1) of making the cut decides instead of the point difference, with
+     * the same levels as the Top 8 page.
+     */
+    function getDay2Status(points, threshold, probability) {
+        if (probability !== undefined && probability !== null) {
+            var status = MtgCore.getStatusInfo(Math.round(probability * 100));
+            if (status.class === 'status-out' && probability > 0) return { text: 'Long Shot', class: 'status-unlikely' };
+            return { text: DAY2_STATUS_TEXT[status.class], class: status.class };
+        }
         var diff = points - threshold;
         if (diff >= 3) return { text: 'Safe', class: 'status-safe' };
         if (diff >= 0) return { text: 'Day 2', class: 'status-likely' };
@@ -123,26 +378,39 @@
         return { text: 'Eliminated', class: 'status-out' };
     }
 
-    function animateBars(container) {
-        var bars = container.querySelectorAll('.prob-bar-fill');
-        requestAnimationFrame(function () {
-            bars.forEach(function (bar) {
-                bar.style.width = bar.getAttribute('data-width');
-            });
-        });
-    }
-
     // =====================
     // Main Calculation
     // =====================
 
-    function calculate() {
+    /**
+     * Redo the analysis after a change, if it is on screen. Nothing to analyze
+     * (no round logged) hides it instead of asking for a record.
+     */
+    function scheduleRecalculate() {
+        if (resultsSection.classList.contains('hidden')) return;
+        if (recalcTimer !== null) clearTimeout(recalcTimer);
+        recalcTimer = setTimeout(function () {
+            recalcTimer = null;
+            var played = (parseInt(winsInput.value) || 0) + (parseInt(lossesInput.value) || 0) + (parseInt(drawsInput.value) || 0);
+            if (played === 0) {
+                resultsSection.classList.add('hidden');
+                return;
+            }
+            calculate(true);
+        }, 80);
+    }
+
+    /**
+     * @param {boolean} [isUpdate] - Recalculating after a change: keep the scroll position
+     */
+    function calculate(isUpdate) {
         var totalRounds = parseInt(totalRoundsInput.value) || 0;
-        var threshold = parseInt(thresholdInput.value) || 0;
+        var advancement = getAdvancement();
+        var threshold = advancement.threshold;
         var currentWins = parseInt(winsInput.value) || 0;
         var currentLosses = parseInt(lossesInput.value) || 0;
         var currentDraws = parseInt(drawsInput.value) || 0;
-        var currentPoints = getMatchPoints(currentWins, currentDraws);
+        var currentPoints = MtgCore.getMatchPoints(currentWins, currentDraws);
         var roundsPlayed = currentWins + currentLosses + currentDraws;
         var remaining = totalRounds - roundsPlayed;
 
@@ -151,7 +419,11 @@
             alert('Enter the total number of rounds for Day 1.');
             return;
         }
-        if (threshold < 1) {
+        if (advancementRuleInput.value !== 'points' && advancement.advancing === null) {
+            alert('Enter the number of players and how many of them advance to Day 2.');
+            return;
+        }
+        if (advancement.advancing === null && threshold < 1) {
             alert('Enter the Day 2 threshold (minimum match points).');
             return;
         }
@@ -197,13 +469,26 @@
         var canLoseRest = minWinsLoseRest >= threshold;
 
         // Verdict
-        verdictTitle.textContent = currentWins + '-' + currentLosses + '-' + currentDraws +
+        verdictTitle.textContent = MtgCore.formatRecord(currentWins, currentLosses, currentDraws) +
             ' (' + currentPoints + ' pts) — ' + remaining + ' round' + (remaining !== 1 ? 's' : '') + ' left';
-        verdictSubtitle.textContent = 'Need ' + threshold + ' points for Day 2 | Max possible: ' + maxPossiblePoints + ' pts';
-
-        if (alreadyIn) {
+        verdictSubtitle.textContent = (advancement.advancing !== null
+            ? 'Top ' + advancement.advancing + ' advance: about ' + threshold + ' points needed'
+            : 'Need ' + threshold + ' points for Day 2') + ' | Max possible: ' + maxPossiblePoints + ' pts';
+
+        if (alreadyIn && advancement.model) {
+            // An estimated threshold is not a guarantee: report the chance instead
+            verdictText.textContent = 'You have reached the estimated threshold of ' + threshold + ' points. Even losing every remaining round, ' +
+                'you make the Top ' + advancement.advancing + ' about ' +
+                Math.round(SwissModel.getPrizeProbability(advancement.model, currentPoints, advancement.advancing) * 100) + '% of the time.';
+            verdictText.className = 'strategy-verdict strategy-draw';
+        } else if (alreadyIn) {
             verdictText.textContent = 'You have already reached ' + currentPoints + ' points — you are in for Day 2 regardless of remaining results!';
             verdictText.className = 'strategy-verdict strategy-draw';
+        } else if (maxPossiblePoints < threshold && advancement.model) {
+            verdictText.textContent = 'Even winning all ' + remaining + ' remaining rounds gives you ' + maxPossiblePoints +
+                ' points, below the estimated threshold of ' + threshold + ': you make the Top ' + advancement.advancing + ' only about ' +
+                Math.round(SwissModel.getPrizeProbability(advancement.model, maxPossiblePoints, advancement.advancing) * 100) + '% of the time.';
+            verdictText.className = 'strategy-verdict strategy-must-win';
         } else if (maxPossiblePoints < threshold) {
             verdictText.textContent = 'Even winning all ' + remaining + ' remaining rounds gives you ' + maxPossiblePoints +
                 ' points, which is below the threshold of ' + threshold + '. You are mathematically eliminated from Day 2.';
@@ -233,24 +518,21 @@
         }
 
         // Build scenarios table
-        var scenarios = generateScenarios(remaining);
+        var scenarios = MtgCore.generateScenarios(remaining);
         scenariosDesc.textContent = 'How each combination of results in the ' + remaining + ' remaining round' +
             (remaining !== 1 ? 's' : '') + ' affects your Day 2 qualification:';
         scenariosBody.innerHTML = '';
+        scenariosBarHeader.textContent = advancement.advancing !== null ? 'Day 2 Chance' : 'vs Threshold';
 
         scenarios.forEach(function (sc) {
             var finalW = currentWins + sc.extraWins;
             var finalL = currentLosses + sc.extraLosses;
             var finalD = currentDraws + sc.extraDraws;
-            var pts = getMatchPoints(finalW, finalD);
-            var status = getDay2Status(pts, threshold);
+            var pts = MtgCore.getMatchPoints(finalW, finalD);
+            var probability = advancement.model ? SwissModel.getPrizeProbability(advancement.model, pts, advancement.advancing) : null;
+            var status = getDay2Status(pts, threshold, probability);
 
-            // Build remaining label
-            var parts = [];
-            if (sc.extraWins > 0) parts.push(sc.extraWins + 'W');
-            if (sc.extraLosses > 0) parts.push(sc.extraLosses + 'L');
-            if (sc.extraDraws > 0) parts.push(sc.extraDraws + 'D');
-            var remainingLabel = parts.length > 0 ? parts.join(' ') : '—';
+            var remainingLabel = MtgCore.getScenarioLabel(sc);
 
             var isAllDraw = (sc.extraDraws === remaining && sc.extraWins === 0 && sc.extraLosses === 0);
             var isAllWin = (sc.extraWins === remaining && sc.extraLosses === 0 && sc.extraDraws === 0);
@@ -262,15 +544,17 @@
 
             tr.innerHTML =
                 '<td class="record-cell">' + remainingLabel + '</td>' +
-                '<td class="record-cell">' + finalW + '-' + finalL + '-' + finalD + '</td>' +
+                '<td class="record-cell">' + MtgCore.formatRecord(finalW, finalL, finalD) + '</td>' +
                 '<td class="points-cell">' + pts + '</td>' +
-                '<td class="prob-cell">' + buildPointsBarHTML(pts, threshold) + '</td>' +
+                '<td class="prob-cell">' + (probability !== null ? MtgUi.buildProbBarHTML(Math.round(probability * 100)) : buildPointsBarHTML(pts, threshold)) + '</td>' +
                 '<td><span class="status-badge ' + status.class + '">' + status.text + '</span></td>';
 
             scenariosBody.appendChild(tr);
         });
 
-        animateBars(scenariosBody);
+        MtgUi.animateBars(scenariosBody);
+
+        if (isUpdate === true) return;
 
         // Scroll to results
         setTimeout(function () {
@@ -282,14 +566,44 @@
     // Event Listeners
     // =====================
     totalRoundsInput.addEventListener('input', function () {
-        updateThresholdHint();
+        scheduleThresholdHint();
         updateRecordDisplay();
     });
     thresholdInput.addEventListener('input', updateThresholdHint);
+    [playersInput, advanceCountInput].forEach(function (el) {
+        el.addEventListener('input', scheduleThresholdHint);
+    });
+    advancementRuleInput.addEventListener('change', function () {
+        onAdvancementRuleChange();
+        saveDay2Data();
+        scheduleRecalculate();
+    });
     winsInput.addEventListener('input', updateRecordDisplay);
     lossesInput.addEventListener('input', updateRecordDisplay);
     drawsInput.addEventListener('input', updateRecordDisplay);
-    calculateBtn.addEventListener('click', calculate);
+    calculateBtn.addEventListener('click', function () {
+        calculate();
+    });
+    inProgressToggle.addEventListener('change', function () {
+        onToggleChange();
+        saveDay2Data();
+        scheduleRecalculate();
+    });
+    quickActions.querySelectorAll('.quick-btn').forEach(function (btn) {
+        btn.addEventListener('click', function () {
+            quickAddResult(btn.getAttribute('data-result'));
+        });
+    });
+    [totalRoundsInput, thresholdInput, playersInput, advanceCountInput, winsInput, lossesInput, drawsInput].forEach(function (el) {
+        el.addEventListener('change', function () {
+            if (el === totalRoundsInput && inProgressToggle.checked) {
+                buildRoundTracker();
+                updateRecordDisplay();
+            }
+            saveDay2Data();
+            scheduleRecalculate();
+        });
+    });
 
     document.querySelectorAll('.number-input').forEach(function (el) {
         el.addEventListener('keypress', function (e) {
@@ -297,7 +611,27 @@
         });
     });
 
-    // Initialize
-    updateThresholdHint();
-    updateRecordDisplay();
+    // Initialize once saved data is loaded
+    MtgStorage.open(function () {
+        loadDay2Data();
+        onAdvancementRuleChange();
+        onToggleChange();
+
+        // Quick actions from home-screen shortcuts (day2.html?action=win|loss|draw);
+        // the round tracker has no byes
+        var action = getUrlParameter('action');
+        if (action !== 'bye' && MtgCore.QUICK_RESULT_CODES.hasOwnProperty(action)) {
+            if (!inProgressToggle.checked) {
+                inProgressToggle.checked = true;
+                onToggleChange();
+            }
+            quickAddResult(action);
+
+            // Reloading the page must not log the result again
+            if (window.history && window.history.replaceState) {
+                window.history.replaceState(null, '', window.location.href.split(/[?#]/)[0]);
+            }
+        }
+        updateRecordDisplay();
+    });
 })();
@@ -0,0 +1,180 @@
+/**
+ * MTG Matchups
+ * Builds the matchup matrix from the round tracker of every saved tournament:
+ * for each of the player's decks against each opponent archetype, the match
+ * record and game record. A round counts when it has a result (W/L/D, byes
+ * have no opponent) and an archetype; rounds without a deck of their own use
+ * the deck of the tournament.
+ * Works on plain data, without the DOM.
+ */
+
+(function (root) {
+    'use strict';
+
+    var MAX_NAME_LENGTH = 40;
+
+    // Below this many matches a matchup is too noisy to replace the overall win rate
+    var MIN_MATCHES = 3;
+
+    var GAME_SCORE_PATTERN = /^(\d+)\s*[-\/]\s*(\d+)(?:\s*[-\/]\s*(\d+))?$/;
+
+    /**
+     * Trim and collapse whitespace so "Mono  Red " and "Mono Red" are one name.
+     */
+    function normalizeName(value) {
+        if (typeof value !== 'string') return '';
+        return value.replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+    }
+
+    // Names are matched without regard to case
+    function getKey(name) {
+        return normalizeName(name).toLowerCase();
+    }
+
+    function parseGameScore(value) {
+        var match = GAME_SCORE_PATTERN.exec(typeof value === 'string' ? value.trim() : '');
+        if (!match) return null;
+        return {
+            wins: parseInt(match[1], 10),
+            losses: parseInt(match[2], 10),
+            draws: match[3] ? parseInt(match[3], 10) : 0
+        };
+    }
+
+    /**
+     * Every tagged round of the saved tournaments.
+     * @param {Object[]} tournaments - Saved tournament entries ({ deck, data })
+     * @returns {Object[]} { deck, archetype, result: 'W'|'L'|'D', games: {wins, losses, draws}|null }
+     */
+    function getTaggedRounds(tournaments) {
+        var rounds = [];
+        (tournaments || []).forEach(function (tournament) {
+            var data = tournament && tournament.data;
+            if (!data || !data.inProgress || !Array.isArray(data.roundResults) || !Array.isArray(data.roundDetails)) return;
+
+            data.roundResults.forEach(function (result, index) {
+                if (result !== 'W' && result !== 'L' && result !== 'D') return;
+                var detail = data.roundDetails[index] || {};
+                var archetype = normalizeName(detail.archetype);
+                var deck = normalizeName(detail.deck) || normalizeName(tournament.deck);
+                if (!archetype || !deck) return;
+                rounds.push({ deck: deck, archetype: archetype, result: result, games: parseGameScore(detail.games) });
+            });
+        });
+        return rounds;
+    }
+
+    /**
+     * Match and game records of each deck against each archetype, most played first.
+     * @returns {Object[]} { deck, archetype, wins, losses, draws, matches, matchWinRate,
+     *   gameWins, gameLosses, gameDraws, gameWinRate (null without game scores) }
+     */
+    function buildMatchupMatrix(tournaments) {
+        var byKey = {};
+        var matrix = [];
+
+        getTaggedRounds(tournaments).forEach(function (round) {
+            var key = getKey(round.deck) + '\u0000' + getKey(round.archetype);
+            var cell = byKey[key];
+            if (!cell) {
+                cell = byKey[key] = {
+                    deck: round.deck,
+                    archetype: round.archetype,
+                    wins: 0, losses: 0, draws: 0,
+                    gameWins: 0, gameLosses: 0, gameDraws: 0
+                };
+                matrix.push(cell);
+            }
+            if (round.result === 'W') cell.wins++;
+            else if (round.result === 'L') cell.losses++;
+            else cell.draws++;
+            if (round.games) {
+                cell.gameWins += round.games.wins;
+                cell.gameLosses += round.games.losses;
+                cell.gameDraws += round.games.draws;
+            }
+        });
+
+        matrix.forEach(function (cell) {
+            var games = cell.gameWins + cell.gameLosses + cell.gameDraws;
+            cell.matches = cell.wins + cell.losses + cell.draws;
+            cell.matchWinRate = cell.wins / cell.matches;
+            cell.gameWinRate = games > 0 ? cell.gameWins / games : null;
+        });
+        matrix.sort(function (a, b) {
+            return a.deck.localeCompare(b.deck) || (b.matches - a.matches) || a.archetype.localeCompare(b.archetype);
+        });
+        return matrix;
+    }
+
+    /**
+     * Match rates of one deck against one archetype, when there are enough
+     * matches to use them instead of the overall win rate.
+     * @returns {{ winRate, drawRate, lossRate, matches, cell }|null}
+     */
+    function getMatchupRates(matrix, deck, archetype) {
+        var deckKey = getKey(deck);
+        var archetypeKey = getKey(archetype);
+        if (!deckKey || !archetypeKey) return null;
+
+        for (var i = 0; i < matrix.length; i++) {
+            var cell = matrix[i];
+            if (getKey(cell.deck) !== deckKey || getKey(cell.archetype) !== archetypeKey) continue;
+            if (cell.matches < MIN_MATCHES) return null;
+            return {
+                winRate: cell.wins / cell.matches,
+                drawRate: cell.draws / cell.matches,
+                lossRate: cell.losses / cell.matches,
+                matches: cell.matches,
+                cell: cell
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Names used so far, for autocomplete: most used first.
+     * @returns {{ decks: string[], archetypes: string[] }}
+     */
+    function getUsedNames(tournaments) {
+        var decks = {};
+        var archetypes = {};
+
+        function count(names, name) {
+            var key = getKey(name);
+            if (!key) return;
+            if (!names[key]) names[key] = { name: normalizeName(name), uses: 0 };
+            names[key].uses++;
+        }
+
+        (tournaments || []).forEach(function (tournament) {
+            if (!tournament) return;
+            count(decks, tournament.deck);
+            var details = tournament.data && Array.isArray(tournament.data.roundDetails) ? tournament.data.roundDetails : [];
+            details.forEach(function (detail) {
+                if (!detail) return;
+                count(decks, detail.deck);
+                count(archetypes, detail.archetype);
+            });
+        });
+
+        function sorted(names) {
+            return Object.keys(names).map(function (key) { return names[key]; })
+                .sort(function (a, b) { return (b.uses - a.uses) || a.name.localeCompare(b.name); })
+                .map(function (entry) { return entry.name; });
+        }
+        return { decks: sorted(decks), archetypes: sorted(archetypes) };
+    }
+
+    var Matchups = {
+        MAX_NAME_LENGTH: MAX_NAME_LENGTH,
+        MIN_MATCHES: MIN_MATCHES,
+        normalizeName: normalizeName,
+        getTaggedRounds: getTaggedRounds,
+        buildMatchupMatrix: buildMatchupMatrix,
+        getMatchupRates: getMatchupRates,
+        getUsedNames: getUsedNames
+    };
+
+    root.Matchups = Matchups;
+})(typeof window !== 'undefined' ? window : this);
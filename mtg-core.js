@@ -0,0 +1,243 @@
+/**
+ * MTG Core
+ * Tournament math shared by the Top 8 and Day 2 pages: match points, the
+ * records and scenarios to analyze, the prize threshold and probability of a
+ * record, the OMW% estimate and the probability labels. Works on plain data,
+ * without the DOM, so it also loads in Node; needs swiss-model.js loaded
+ * first (or, in Node, next to it).
+ */
+
+(function (root) {
+    'use strict';
+
+    var SwissModel = root.SwissModel || require('./swiss-model.js').SwissModel;
+
+    // Result codes of the quick-log buttons and home-screen shortcuts
+    var QUICK_RESULT_CODES = { win: 'W', loss: 'L', draw: 'D', bye: 'B' };
+
+    /**
+     * Parse a saved or typed whole number, clamped to [min, max]
+     * @returns {number} the fallback when the value is not a number
+     */
+    function sanitizeInt(value, fallback, min, max) {
+        var parsed = parseInt(value, 10);
+        if (!isFinite(parsed)) return fallback;
+        if (min !== undefined && parsed < min) return min;
+        if (max !== undefined && parsed > max) return max;
+        return parsed;
+    }
+
+    // =====================
+    // Records
+    // =====================
+
+    function getMatchPoints(wins, draws) {
+        return wins * 3 + draws * 1;
+    }
+
+    function formatRecord(wins, losses, draws) {
+        return wins + '-' + losses + '-' + draws;
+    }
+
+    /**
+     * Every final record over a number of rounds, most wins first.
+     * @returns {Object[]} { wins, losses, draws }
+     */
+    function generateAllRecords(rounds) {
+        var records = [];
+        for (var w = rounds; w >= 0; w--) {
+            for (var d = rounds - w; d >= 0; d--) {
+                var l = rounds - w - d;
+                records.push({ wins: w, losses: l, draws: d });
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Generate all combinations of W/L/D for a number of remaining rounds
+     * @returns {Object[]} { extraWins, extraLosses, extraDraws }
+     */
+    function generateScenarios(remaining) {
+        return generateAllRecords(remaining).map(function (record) {
+            return { extraWins: record.wins, extraLosses: record.losses, extraDraws: record.draws };
+        });
+    }
+
+    /**
+     * Short label of the results a scenario still needs, e.g. "2W 1D".
+     */
+    function getScenarioLabel(scenario) {
+        var parts = [];
+        if (scenario.extraWins > 0) parts.push(scenario.extraWins + 'W');
+        if (scenario.extraLosses > 0) parts.push(scenario.extraLosses + 'L');
+        if (scenario.extraDraws > 0) parts.push(scenario.extraDraws + 'D');
+        return parts.length > 0 ? parts.join(' ') : '—';
+    }
+
+    // =====================
+    // Prize Probability
+    // =====================
+
+    /**
+     * Lowest match points that make the prize at least half of the time in a
+     * standings model (see SwissModel.runSimulation / runExactModel)
+     * @returns {number} 0 when everyone makes the prize
+     */
+    function getThresholdPoints(model, numPlayers, prizePosition) {
+        if (numPlayers <= prizePosition) return 0;
+        return SwissModel.getCutoffPoints(model, prizePosition, 0.5);
+    }
+
+    /**
+     * Percentage points added to the chance of a record `diff` points from the
+     * threshold (only 0 to 2 below it, where tiebreakers decide), by OMW%
+     */
+    function getTiebreakerAdjustment(diff, omwEstimate) {
+        if (omwEstimate === undefined || omwEstimate === null || diff < -2 || diff > 0) return 0;
+        if (omwEstimate > 0.55) {
+            // Good tiebreakers: boost probability
+            return diff === -2 ? 5 : 10;
+        }
+        if (omwEstimate < 0.40) {
+            // Poor tiebreakers: reduce probability
+            if (diff === 0) return -15;
+            return diff === -1 ? -10 : -8;
+        }
+        if (omwEstimate > 0.50) {
+            // Slightly above average
+            if (diff === 0) return 5;
+            return diff === -1 ? 4 : 2;
+        }
+        if (omwEstimate < 0.45) {
+            // Slightly below average
+            if (diff === 0) return -8;
+            return diff === -1 ? -5 : -3;
+        }
+        return 0;
+    }
+
+    /**
+     * Chance (0-100) of making the prize position with a final point total,
+     * from a standings model. An optional OMW% estimate adjusts the chance at
+     * the tiebreaker threshold.
+     * @param {Object} model - SwissModel.runSimulation / runExactModel result
+     * @param {number} thresholdPoints - see getThresholdPoints
+     * @param {number} [omwEstimate] - 0-1
+     */
+    function estimatePrizePositionProbability(model, points, numPlayers, prizePosition, thresholdPoints, omwEstimate) {
+        if (numPlayers <= prizePosition) return 100;
+
+        var probability = Math.round(SwissModel.getPrizeProbability(model, points, prizePosition) * 100);
+        if (probability <= 0 || probability >= 100) return probability;
+        return Math.max(0, Math.min(100, probability + getTiebreakerAdjustment(points - thresholdPoints, omwEstimate)));
+    }
+
+    // =====================
+    // OMW% Estimation
+    // =====================
+
+    /**
+     * Estimate OMW% from round-by-round results.
+     * For each round, we estimate the opponent's final match-win %
+     * based on the player's cumulative record at that point (pairing bracket).
+     * Opponents faced at higher brackets tend to finish with higher win rates.
+     * @param {Array} results - 'W', 'L', 'D', 'B' (bye) or null per round
+     * @returns {number|null} null when no round against an opponent was played
+     */
+    function estimateOMW(results, totalRounds) {
+        if (!results || results.length === 0) return null;
+
+        var filledResults = results.filter(function (r) { return r !== null && r !== 'B'; });
+        if (filledResults.length === 0) return null;
+
+        var cumWins = 0;
+        var cumLosses = 0;
+        var opponentMWs = [];
+
+        for (var i = 0; i < results.length; i++) {
+            if (results[i] === null) continue;
+
+            // Byes count as wins for pairing but have no opponent (excluded per MTR)
+            if (results[i] === 'B') {
+                cumWins++;
+                continue;
+            }
+
+            // Estimate opponent's final match-win % based on pairing bracket
+            // At record (cumWins - cumLosses), paired against similar record
+            var bracketStrength = 0.5 + (cumWins - cumLosses) / (2 * totalRounds);
+
+            var opponentMW;
+            if (results[i] === 'W') {
+                // We won: opponent lost this match, slight penalty to their final record
+                opponentMW = bracketStrength - 0.04;
+                cumWins++;
+            } else if (results[i] === 'L') {
+                // We lost: opponent won this match, slight bonus to their final record
+                opponentMW = bracketStrength + 0.04;
+                cumLosses++;
+            } else {
+                // Draw: neutral
+                opponentMW = bracketStrength;
+            }
+
+            // OMW% minimum floor is 33% per WotC rules
+            opponentMWs.push(Math.max(0.33, Math.min(1, opponentMW)));
+        }
+
+        var sum = 0;
+        for (var j = 0; j < opponentMWs.length; j++) {
+            sum += opponentMWs[j];
+        }
+        return sum / opponentMWs.length;
+    }
+
+    // =====================
+    // Probability Labels
+    // =====================
+
+    function getProbClass(prob) {
+        if (prob >= 85) return 'prob-high';
+        if (prob >= 60) return 'prob-likely';
+        if (prob >= 30) return 'prob-medium';
+        if (prob >= 5) return 'prob-low';
+        return 'prob-none';
+    }
+
+    function getStatusInfo(prob) {
+        if (prob >= 90) return { text: 'Locked In', class: 'status-safe' };
+        if (prob >= 60) return { text: 'Likely', class: 'status-likely' };
+        if (prob >= 25) return { text: 'Possible', class: 'status-possible' };
+        if (prob >= 3) return { text: 'Unlikely', class: 'status-unlikely' };
+        return { text: 'Out', class: 'status-out' };
+    }
+
+    function getVerdict(prob, prizePosition) {
+        var prizeLabel = 'Top ' + prizePosition;
+        if (prob >= 90) return { text: 'You are almost certainly making ' + prizeLabel + '!', class: 'verdict-safe' };
+        if (prob >= 60) return { text: 'Good chances! Keep it up to lock in ' + prizeLabel + '.', class: 'verdict-likely' };
+        if (prob >= 25) return { text: 'You have a shot, but tiebreakers will matter.', class: 'verdict-possible' };
+        if (prob >= 3) return { text: 'It will be tough, but not impossible.', class: 'verdict-unlikely' };
+        return { text: 'Unfortunately, with this record the chances are very low.', class: 'verdict-eliminated' };
+    }
+
+    var MtgCore = {
+        QUICK_RESULT_CODES: QUICK_RESULT_CODES,
+        sanitizeInt: sanitizeInt,
+        getMatchPoints: getMatchPoints,
+        formatRecord: formatRecord,
+        generateAllRecords: generateAllRecords,
+        generateScenarios: generateScenarios,
+        getScenarioLabel: getScenarioLabel,
+        getThresholdPoints: getThresholdPoints,
+        getTiebreakerAdjustment: getTiebreakerAdjustment,
+        estimatePrizePositionProbability: estimatePrizePositionProbability,
+        estimateOMW: estimateOMW,
+        getProbClass: getProbClass,
+        getStatusInfo: getStatusInfo,
+        getVerdict: getVerdict
+    };
+
+    root.MtgCore = MtgCore;
+})(typeof window !== 'undefined' ? window : this);
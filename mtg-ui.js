@@ -0,0 +1,52 @@
+/**
+ * MTG UI
+ * Page helpers shared by the Top 8 and Day 2 pages: probability bars and
+ * toast notifications. The math behind them lives in mtg-core.js; this file
+ * is the part that needs the DOM.
+ */
+
+(function (root) {
+    'use strict';
+
+    /**
+     * Probability bar for a chance of 0-100, starting empty so animateBars can fill it
+     */
+    function buildProbBarHTML(prob) {
+        var probClass = MtgCore.getProbClass(prob);
+        return '<div class="prob-bar-container">' +
+            '<div class="prob-bar-bg">' +
+            '<div class="prob-bar-fill ' + probClass + '" style="width: 0%" data-width="' + prob + '%"></div>' +
+            '</div>' +
+            '<span class="prob-value ' + probClass + '">' + prob + '%</span>' +
+            '</div>';
+    }
+
+    /**
+     * Animate the probability bars inside a container to their data-width.
+     * Only touches the elements it is given.
+     */
+    function animateBars(container) {
+        var bars = container.querySelectorAll('.prob-bar-fill');
+        root.requestAnimationFrame(function () {
+            Array.prototype.forEach.call(bars, function (bar) {
+                bar.style.width = bar.getAttribute('data-width');
+            });
+        });
+    }
+
+    function showToast(message) {
+        var toast = document.createElement('div');
+        toast.className = 'toast-notification';
+        toast.textContent = message;
+        document.body.appendChild(toast);
+        setTimeout(function () { toast.remove(); }, 3000);
+    }
+
+    var MtgUi = {
+        buildProbBarHTML: buildProbBarHTML,
+        animateBars: animateBars,
+        showToast: showToast
+    };
+
+    root.MtgUi = MtgUi;
+})(window);
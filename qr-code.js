@@ -0,0 +1,404 @@
+/**
+ * MTG QR Code
+ * Small QR code generator (ISO/IEC 18004) so tournament state can be passed
+ * between phones without a network: byte mode, error correction level M,
+ * versions 1 to 10 (up to 213 bytes), with the mask chosen by the standard
+ * penalty rules. Returns the module matrix and an SVG path for it.
+ * Works on plain data, without the DOM.
+ */
+
+(function (root) {
+    'use strict';
+
+    var MAX_VERSION = 10;
+
+    // Error correction level M, indexed by version (index 0 unused)
+    var ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+    var NUM_ECC_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+    var ECC_FORMAT_BITS = 0; // M
+
+    var MASKS = [
+        function (x, y) { return (x + y) % 2 === 0; },
+        function (x, y) { return y % 2 === 0; },
+        function (x) { return x % 3 === 0; },
+        function (x, y) { return (x + y) % 3 === 0; },
+        function (x, y) { return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; },
+        function (x, y) { return x * y % 2 + x * y % 3 === 0; },
+        function (x, y) { return (x * y % 2 + x * y % 3) % 2 === 0; },
+        function (x, y) { return ((x + y) % 2 + x * y % 3) % 2 === 0; }
+    ];
+
+    // =====================
+    // Capacity
+    // =====================
+
+    /**
+     * Modules left for data and error correction once the function patterns are drawn
+     */
+    function getRawDataModules(version) {
+        var result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            var numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    function getDataCodewords(version) {
+        return Math.floor(getRawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * NUM_ECC_BLOCKS[version];
+    }
+
+    function toUtf8Bytes(text) {
+        var binary = unescape(encodeURIComponent(text));
+        var bytes = [];
+        for (var i = 0; i < binary.length; i++) bytes.push(binary.charCodeAt(i));
+        return bytes;
+    }
+
+    /**
+     * Mode indicator, length and data bits, terminated and padded to the
+     * capacity of the smallest version that fits
+     */
+    function encodeData(bytes) {
+        for (var version = 1; version <= MAX_VERSION; version++) {
+            var countBits = version <= 9 ? 8 : 16;
+            var capacity = getDataCodewords(version) * 8;
+            if (4 + countBits + bytes.length * 8 > capacity) continue;
+
+            var bits = [];
+            appendBits(bits, 0x4, 4);
+            appendBits(bits, bytes.length, countBits);
+            bytes.forEach(function (b) { appendBits(bits, b, 8); });
+            appendBits(bits, 0, Math.min(4, capacity - bits.length));
+            appendBits(bits, 0, (8 - bits.length % 8) % 8);
+            for (var pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) appendBits(bits, pad, 8);
+
+            var codewords = [];
+            for (var i = 0; i < bits.length; i += 8) {
+                var value = 0;
+                for (var j = 0; j < 8; j++) value = (value << 1) | bits[i + j];
+                codewords.push(value);
+            }
+            return { version: version, codewords: codewords };
+        }
+        return null;
+    }
+
+    function appendBits(bits, value, length) {
+        for (var i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    }
+
+    // =====================
+    // Reed-Solomon
+    // =====================
+
+    function multiply(x, y) {
+        var z = 0;
+        for (var i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    function getDivisor(degree) {
+        var result = [];
+        for (var i = 0; i < degree - 1; i++) result.push(0);
+        result.push(1);
+
+        var rootValue = 1;
+        for (var n = 0; n < degree; n++) {
+            for (var j = 0; j < result.length; j++) {
+                result[j] = multiply(result[j], rootValue);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            rootValue = multiply(rootValue, 0x02);
+        }
+        return result;
+    }
+
+    function getRemainder(data, divisor) {
+        var result = divisor.map(function () { return 0; });
+        data.forEach(function (b) {
+            var factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach(function (coefficient, i) {
+                result[i] ^= multiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Split the data into blocks, add their error correction and interleave them
+     */
+    function addErrorCorrection(codewords, version) {
+        var numBlocks = NUM_ECC_BLOCKS[version];
+        var eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+        var rawCodewords = Math.floor(getRawDataModules(version) / 8);
+        var numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        var shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        var divisor = getDivisor(eccLength);
+
+        var blocks = [];
+        for (var i = 0, k = 0; i < numBlocks; i++) {
+            var dataLength = shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1);
+            var block = codewords.slice(k, k + dataLength);
+            k += dataLength;
+            var ecc = getRemainder(block, divisor);
+            if (i < numShortBlocks) block.push(0); // placeholder, skipped when interleaving
+            blocks.push(block.concat(ecc));
+        }
+
+        var result = [];
+        for (var index = 0; index < blocks[0].length; index++) {
+            for (var b = 0; b < blocks.length; b++) {
+                if (index !== shortBlockLength - eccLength || b >= numShortBlocks) result.push(blocks[b][index]);
+            }
+        }
+        return result;
+    }
+
+    // =====================
+    // Matrix
+    // =====================
+
+    function getAlignmentPositions(version) {
+        if (version === 1) return [];
+        var numAlign = Math.floor(version / 7) + 2;
+        var step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        var result = [6];
+        for (var pos = version * 4 + 10; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+        return result;
+    }
+
+    function createMatrix(version) {
+        var size = version * 4 + 17;
+        var modules = [];
+        var isFunction = [];
+        for (var y = 0; y < size; y++) {
+            modules.push([]);
+            isFunction.push([]);
+            for (var x = 0; x < size; x++) {
+                modules[y].push(false);
+                isFunction[y].push(false);
+            }
+        }
+        var matrix = { version: version, size: size, modules: modules, isFunction: isFunction };
+        drawFunctionPatterns(matrix);
+        return matrix;
+    }
+
+    function setFunctionModule(matrix, x, y, dark) {
+        matrix.modules[y][x] = dark;
+        matrix.isFunction[y][x] = true;
+    }
+
+    function drawFunctionPatterns(matrix) {
+        var size = matrix.size;
+        for (var i = 0; i < size; i++) {
+            setFunctionModule(matrix, 6, i, i % 2 === 0);
+            setFunctionModule(matrix, i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(function (center) {
+            for (var dy = -4; dy <= 4; dy++) {
+                for (var dx = -4; dx <= 4; dx++) {
+                    var x = center[0] + dx;
+                    var y = center[1] + dy;
+                    var distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) setFunctionModule(matrix, x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+
+        var positions = getAlignmentPositions(matrix.version);
+        var last = positions.length - 1;
+        positions.forEach(function (cx, a) {
+            positions.forEach(function (cy, b) {
+                // The corners with a finder pattern have no alignment pattern
+                if ((a === 0 && b === 0) || (a === 0 && b === last) || (a === last && b === 0)) return;
+                for (var dy = -2; dy <= 2; dy++) {
+                    for (var dx = -2; dx <= 2; dx++) {
+                        setFunctionModule(matrix, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        drawFormatBits(matrix, 0); // reserved now, redrawn with the chosen mask
+        drawVersionBits(matrix);
+    }
+
+    function drawFormatBits(matrix, mask) {
+        var size = matrix.size;
+        var data = (ECC_FORMAT_BITS << 3) | mask;
+        var rem = data;
+        for (var i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        var bits = ((data << 10) | rem) ^ 0x5412;
+
+        function bit(index) {
+            return ((bits >>> index) & 1) !== 0;
+        }
+
+        for (var a = 0; a <= 5; a++) setFunctionModule(matrix, 8, a, bit(a));
+        setFunctionModule(matrix, 8, 7, bit(6));
+        setFunctionModule(matrix, 8, 8, bit(7));
+        setFunctionModule(matrix, 7, 8, bit(8));
+        for (var b = 9; b < 15; b++) setFunctionModule(matrix, 14 - b, 8, bit(b));
+
+        for (var c = 0; c < 8; c++) setFunctionModule(matrix, size - 1 - c, 8, bit(c));
+        for (var d = 8; d < 15; d++) setFunctionModule(matrix, 8, size - 15 + d, bit(d));
+        setFunctionModule(matrix, 8, size - 8, true); // dark module
+    }
+
+    function drawVersionBits(matrix) {
+        if (matrix.version < 7) return;
+        var rem = matrix.version;
+        for (var i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        var bits = (matrix.version << 12) | rem;
+
+        for (var j = 0; j < 18; j++) {
+            var dark = ((bits >>> j) & 1) !== 0;
+            var a = matrix.size - 11 + j % 3;
+            var b = Math.floor(j / 3);
+            setFunctionModule(matrix, a, b, dark);
+            setFunctionModule(matrix, b, a, dark);
+        }
+    }
+
+    /**
+     * Place the codewords in the zigzag order, two columns at a time from the bottom right
+     */
+    function drawCodewords(matrix, codewords) {
+        var size = matrix.size;
+        var i = 0;
+        for (var right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // skip the vertical timing pattern
+            for (var vert = 0; vert < size; vert++) {
+                for (var j = 0; j < 2; j++) {
+                    var x = right - j;
+                    var upward = ((right + 1) & 2) === 0;
+                    var y = upward ? size - 1 - vert : vert;
+                    if (matrix.isFunction[y][x] || i >= codewords.length * 8) continue;
+                    matrix.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                    i++;
+                }
+            }
+        }
+    }
+
+    function applyMask(matrix, mask) {
+        for (var y = 0; y < matrix.size; y++) {
+            for (var x = 0; x < matrix.size; x++) {
+                if (!matrix.isFunction[y][x] && MASKS[mask](x, y)) matrix.modules[y][x] = !matrix.modules[y][x];
+            }
+        }
+    }
+
+    // =====================
+    // Mask Penalty
+    // =====================
+
+    var FINDER_LIKE = [true, false, true, true, true, false, true, false, false, false, false];
+
+    function getLinePenalty(line) {
+        var penalty = 0;
+        var run = 1;
+        for (var i = 1; i <= line.length; i++) {
+            if (i < line.length && line[i] === line[i - 1]) {
+                run++;
+                continue;
+            }
+            if (run >= 5) penalty += 3 + (run - 5);
+            run = 1;
+        }
+
+        for (var start = 0; start + FINDER_LIKE.length <= line.length; start++) {
+            var forward = true;
+            var backward = true;
+            for (var k = 0; k < FINDER_LIKE.length; k++) {
+                if (line[start + k] !== FINDER_LIKE[k]) forward = false;
+                if (line[start + k] !== FINDER_LIKE[FINDER_LIKE.length - 1 - k]) backward = false;
+            }
+            if (forward) penalty += 40;
+            if (backward) penalty += 40;
+        }
+        return penalty;
+    }
+
+    function getPenaltyScore(matrix) {
+        var size = matrix.size;
+        var modules = matrix.modules;
+        var penalty = 0;
+        var dark = 0;
+
+        for (var y = 0; y < size; y++) {
+            var column = [];
+            for (var x = 0; x < size; x++) {
+                column.push(modules[x][y]);
+                if (modules[y][x]) dark++;
+                if (x + 1 < size && y + 1 < size && modules[y][x] === modules[y][x + 1] &&
+                        modules[y][x] === modules[y + 1][x] && modules[y][x] === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+            penalty += getLinePenalty(modules[y]) + getLinePenalty(column);
+        }
+
+        var total = size * size;
+        penalty += Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    }
+
+    // =====================
+    // Public API
+    // =====================
+
+    /**
+     * Encode text as a QR code.
+     * @param {string} text
+     * @returns {{ version: number, size: number, modules: boolean[][] }|null}
+     *   modules[y][x] is true for dark; null when the text is too long
+     */
+    function encodeText(text) {
+        var data = encodeData(toUtf8Bytes(String(text)));
+        if (!data) return null;
+
+        var codewords = addErrorCorrection(data.codewords, data.version);
+        var best = null;
+        for (var mask = 0; mask < MASKS.length; mask++) {
+            var matrix = createMatrix(data.version);
+            drawCodewords(matrix, codewords);
+            applyMask(matrix, mask);
+            drawFormatBits(matrix, mask);
+            var penalty = getPenaltyScore(matrix);
+            if (!best || penalty < best.penalty) best = { matrix: matrix, penalty: penalty };
+        }
+        return { version: best.matrix.version, size: best.matrix.size, modules: best.matrix.modules };
+    }
+
+    /**
+     * SVG path data of the dark modules, one unit per module, offset by a
+     * quiet zone of `border` modules
+     */
+    function getSvgPath(qr, border) {
+        border = border === undefined ? 4 : border;
+        var parts = [];
+        for (var y = 0; y < qr.size; y++) {
+            for (var x = 0; x < qr.size; x++) {
+                if (qr.modules[y][x]) parts.push('M' + (x + border) + ',' + (y + border) + 'h1v1h-1z');
+            }
+        }
+        return parts.join('');
+    }
+
+    var QrCode = {
+        MAX_VERSION: MAX_VERSION,
+        encodeText: encodeText,
+        getSvgPath: getSvgPath
+    };
+
+    root.QrCode = QrCode;
+})(typeof window !== 'undefined' ? window : this);
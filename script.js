@@ -12,6 +12,31 @@
     // =====================
     var playersInput = document.getElementById('players');
     var prizePositionInput = document.getElementById('prize-position');
+    var drawRateInput = document.getElementById('draw-rate');
+    var fieldWinRateInput = document.getElementById('field-win-rate');
+    var modelModeInput = document.getElementById('model-mode');
+    var dropModelInput = document.getElementById('drop-model');
+    var dropCustomInputs = document.getElementById('drop-custom-inputs');
+    var dropZeroLossInput = document.getElementById('drop-zero-loss');
+    var dropOneLossInput = document.getElementById('drop-one-loss');
+    var dropTwoLossInput = document.getElementById('drop-two-loss');
+    var dropThreeLossInput = document.getElementById('drop-three-loss');
+    var playersRemainingInput = document.getElementById('players-remaining');
+    var multiDayToggle = document.getElementById('multi-day');
+    var multiDayInputs = document.getElementById('multi-day-inputs');
+    var day1RoundsInput = document.getElementById('day1-rounds');
+    var day2ThresholdInput = document.getElementById('day2-threshold');
+    var standingsTextInput = document.getElementById('standings-text');
+    var standingsFileInput = document.getElementById('standings-file');
+    var standingsNameInput = document.getElementById('standings-name');
+    var standingsClearBtn = document.getElementById('standings-clear-btn');
+    var standingsStatus = document.getElementById('standings-status');
+    var standingsTableWrapper = document.getElementById('standings-table-wrapper');
+    var standingsBody = document.getElementById('standings-body');
+    var pairingPrediction = document.getElementById('pairing-prediction');
+    var structureInput = document.getElementById('event-structure');
+    var roundsOverrideInput = document.getElementById('rounds-override');
+    var byesInput = document.getElementById('byes');
     var roundsDisplay = document.getElementById('rounds-display');
     var inProgressToggle = document.getElementById('in-progress');
     var winsInput = document.getElementById('wins');
@@ -28,18 +53,62 @@
     var summaryInfo = document.getElementById('summary-info');
     var summaryVerdict = document.getElementById('summary-verdict');
     var thresholdsBody = document.getElementById('thresholds-body');
+    var histogramDescription = document.getElementById('histogram-description');
+    var histogramBody = document.getElementById('histogram-body');
+    var topTablesDescription = document.getElementById('top-tables-description');
+    var topTablesBody = document.getElementById('top-tables-body');
+    var tournamentSelect = document.getElementById('tournament-select');
+    var tournamentNameInput = document.getElementById('tournament-name');
+    var tournamentDateInput = document.getElementById('tournament-date');
+    var tournamentFormatInput = document.getElementById('tournament-format');
+    var tournamentDeckInput = document.getElementById('tournament-deck');
+    var tournamentPlacementInput = document.getElementById('tournament-placement');
+    var archiveTournamentBtn = document.getElementById('archive-tournament-btn');
     var strategyTitle = document.getElementById('strategy-title');
     var strategySubtitle = document.getElementById('strategy-subtitle');
     var strategyVerdict = document.getElementById('strategy-verdict');
     var omwDisplay = document.getElementById('omw-display');
+    var strategyPlanBody = document.getElementById('strategy-plan-body');
+    var idAcceptGroup = document.getElementById('id-accept-group');
+    var matchWinRateInput = document.getElementById('match-win-rate');
+    var matchDrawRateInput = document.getElementById('match-draw-rate');
+    var payoutTiersContainer = document.getElementById('payout-tiers');
+    var packValueInput = document.getElementById('pack-value');
+    var idAcceptRateInput = document.getElementById('id-accept-rate');
     var scenariosDescription = document.getElementById('scenarios-description');
     var scenariosBody = document.getElementById('scenarios-body');
     var roundTracker = document.getElementById('round-tracker');
     var roundTrackerGrid = document.getElementById('round-tracker-grid');
-
-    // Round tracker state: array of 'W', 'L', 'D', or null for each round
+    var deckNamesList = document.getElementById('deck-names');
+    var undoBtn = document.getElementById('undo-btn');
+    var redoBtn = document.getElementById('redo-btn');
+    var editLogList = document.getElementById('edit-log-list');
+    var qrCodeContainer = document.getElementById('qr-code');
+    var qrScanBtn = document.getElementById('qr-scan-btn');
+    var qrFileInput = document.getElementById('qr-file');
+    var qrFileGroup = document.getElementById('qr-file-group');
+    var qrImportUnsupported = document.getElementById('qr-import-unsupported');
+    var qrVideo = document.getElementById('qr-video');
+    var qrStatus = document.getElementById('qr-status');
+    var archetypeNamesList = document.getElementById('archetype-names');
+    var opponentNamesList = document.getElementById('opponent-names');
+
+    // Round tracker state: array of 'W', 'L', 'D', 'B' (bye), or null for each round
     var roundResults = [];
 
+    // Prize payout tiers: { from: 1, to: 8, cash: 100, packs: 6, qp: 0 }
+    var payoutTiers = [];
+
+    // Number of pre-awarded byes currently written into roundResults
+    var appliedByes = 0;
+
+    // Optional per-round tiebreaker data: { opponent: '4-2-0', games: '2-1', opponentGames: '9-5' },
+    // plus the opponent's name (pairing history), your deck and their archetype
+    var roundDetails = [];
+
+    // Imported live standings: { format, players: [{ rank, name, points, record, omw, gw, ogw }], roundsPlayed }
+    var liveStandings = null;
+
     // =====================
     // Widget & Quick Actions
     // =====================
@@ -53,31 +122,30 @@
     }
 
     function quickAddResult(resultType) {
-        // resultType: 'win', 'loss', or 'draw'
+        // resultType: 'win', 'loss', 'draw', or 'bye'
         if (inProgressToggle.checked) {
             var totalRounds = getRounds(parseInt(playersInput.value) || 64);
-            var currentPlayed = roundResults.filter(r => r !== null).length;
+            var nextRound = getNextRoundIndex();
+            var dayCut = getDayCut(totalRounds);
+            var day1Progress = getTrackerDay1Progress(dayCut);
+            if (dayCut && nextRound >= dayCut.afterRound && day1Progress.open === 0 && day1Progress.points < dayCut.minPoints) {
+                MtgUi.showToast('Missed the Day 2 threshold');
+                return;
+            }
             
-            if (currentPlayed < totalRounds) {
-                roundResults[currentPlayed] = resultType === 'win' ? 'W' : (resultType === 'loss' ? 'L' : 'D');
+            if (nextRound !== -1 && nextRound < totalRounds) {
+                roundResults[nextRound] = MtgCore.QUICK_RESULT_CODES[resultType] || 'D';
                 buildRoundTracker();
                 updateRecordDisplay();
+                commitEdit('R' + (nextRound + 1) + ': ' + RESULT_NAMES[roundResults[nextRound]] + ' (quick log)');
                 scheduleRecalculate();
                 
                 // Show toast notification
-                showToast(resultType.toUpperCase() + ' logged successfully!');
+                MtgUi.showToast(resultType.toUpperCase() + ' logged successfully!');
             }
         }
     }
 
-    function showToast(message) {
-        var toast = document.createElement('div');
-        toast.className = 'toast-notification';
-        toast.textContent = message;
-        document.body.appendChild(toast);
-        setTimeout(() => toast.remove(), 3000);
-    }
-
     function updateBadge() {
         // Display current points on app icon (Badging API)
         if ('setAppBadge' in navigator) {
@@ -132,70 +200,58 @@
             });
         });
     }
-    const STORAGE_KEY = 'mtg_tournament_data';
-    var inMemoryStorage = {};
-    var storageMode = 'local';
+    const STORAGE_KEY = 'mtg_tournament_data'; // single-tournament format, migrated on load
+    const TOURNAMENTS_KEY = 'mtg_tournaments';
+    const TOURNAMENT_RECORD_PREFIX = 'mtg_tournament_record_'; // + id: { data, history } of one tournament
+    const MAX_STANDINGS_LENGTH = 500000;
+    // Saved tournaments: { activeId, tournaments: [{ id, name, date, format, deck, placement, archived, omw, history, data }] }.
+    // The list and each tournament's data and history are saved under separate keys.
+    var tournamentStore = { activeId: null, tournaments: [] };
     var recalcTimer = null;
+    var playersTimer = null;
 
-    function isStorageAvailable() {
-        var testKey = '__mtg_storage_test__';
-        try {
-            localStorage.setItem(testKey, '1');
-            localStorage.removeItem(testKey);
-            return true;
-        } catch (e) {
-            return false;
-        }
-    }
-
-    function getStorageValue(key) {
-        if (storageMode === 'local') {
-            try {
-                return localStorage.getItem(key);
-            } catch (e) {
-                storageMode = 'memory';
-            }
-        }
-        return Object.prototype.hasOwnProperty.call(inMemoryStorage, key) ? inMemoryStorage[key] : null;
-    }
+    // A large field takes a noticeable time to simulate: wait for the player count to settle
+    var PLAYERS_DEBOUNCE_MS = 300;
 
-    function setStorageValue(key, value) {
-        if (storageMode === 'local') {
-            try {
-                localStorage.setItem(key, value);
-                return true;
-            } catch (e) {
-                storageMode = 'memory';
-            }
-        }
-        inMemoryStorage[key] = value;
-        return false;
+    function sanitizeRoundResults(raw) {
+        if (!Array.isArray(raw)) return [];
+        return raw.map(function (item) {
+            return (item === 'W' || item === 'L' || item === 'D' || item === 'B' || item === null) ? item : null;
+        });
     }
 
-    function removeStorageValue(key) {
-        if (storageMode === 'local') {
-            try {
-                localStorage.removeItem(key);
-                return;
-            } catch (e) {
-                storageMode = 'memory';
-            }
-        }
-        delete inMemoryStorage[key];
+    function getEmptyRoundDetail() {
+        return { opponent: '', games: '', opponentGames: '', opponentName: '', deck: '', archetype: '' };
     }
 
-    function sanitizeInt(value, fallback, min, max) {
-        var parsed = parseInt(value, 10);
-        if (!isFinite(parsed)) return fallback;
-        if (min !== undefined && parsed < min) return min;
-        if (max !== undefined && parsed > max) return max;
-        return parsed;
+    function sanitizeRoundDetails(raw) {
+        if (!Array.isArray(raw)) return [];
+        return raw.map(function (item) {
+            item = item && typeof item === 'object' ? item : {};
+            return {
+                opponent: typeof item.opponent === 'string' ? item.opponent.slice(0, 12) : '',
+                games: typeof item.games === 'string' ? item.games.slice(0, 12) : '',
+                opponentGames: typeof item.opponentGames === 'string' ? item.opponentGames.slice(0, 12) : '',
+                opponentName: Matchups.normalizeName(item.opponentName),
+                deck: Matchups.normalizeName(item.deck),
+                archetype: Matchups.normalizeName(item.archetype)
+            };
+        });
     }
 
-    function sanitizeRoundResults(raw) {
+    function sanitizePayoutTiers(raw) {
         if (!Array.isArray(raw)) return [];
-        return raw.map(function (item) {
-            return (item === 'W' || item === 'L' || item === 'D' || item === null) ? item : null;
+        return raw.slice(0, 20).filter(function (item) {
+            return item && typeof item === 'object';
+        }).map(function (item) {
+            var from = MtgCore.sanitizeInt(item.from, 1, 1, 10000);
+            return {
+                from: from,
+                to: MtgCore.sanitizeInt(item.to, from, from, 10000),
+                cash: MtgCore.sanitizeInt(item.cash, 0, 0, 1000000),
+                packs: MtgCore.sanitizeInt(item.packs, 0, 0, 10000),
+                qp: MtgCore.sanitizeInt(item.qp, 0, 0, 10000)
+            };
         });
     }
 
@@ -203,8 +259,31 @@
         return {
             players: 64,
             prizePosition: 8,
+            structure: 'fnm',
+            roundsOverride: 0,
+            byes: 0,
+            multiDay: false,
+            day1Rounds: 8,
+            day2Threshold: 18,
+            drawRate: 4,
+            fieldWinRate: 50,
+            modelMode: 'simulation',
+            dropModel: 'none',
+            dropZeroLoss: 0,
+            dropOneLoss: 2,
+            dropTwoLoss: 10,
+            dropThreeLoss: 30,
+            playersRemaining: '',
+            matchWinRate: 50,
+            matchDrawRate: 0,
+            idAcceptRate: 80,
+            payoutTiers: [],
+            packValue: 4,
+            standingsText: '',
+            standingsName: '',
             inProgress: false,
             roundResults: [],
+            roundDetails: [],
             wins: 0,
             losses: 0,
             draws: 0
@@ -215,24 +294,77 @@
         if (!data || typeof data !== 'object') return null;
 
         return {
-            players: sanitizeInt(data.players, 64, 8, 10000),
-            prizePosition: sanitizeInt(data.prizePosition, 8, 1, 10000),
+            players: MtgCore.sanitizeInt(data.players, 64, 8, 10000),
+            prizePosition: MtgCore.sanitizeInt(data.prizePosition, 8, 1, 10000),
+            structure: EVENT_STRUCTURES.hasOwnProperty(data.structure) ? data.structure : 'fnm',
+            roundsOverride: MtgCore.sanitizeInt(data.roundsOverride, 0, 0, 20),
+            byes: MtgCore.sanitizeInt(data.byes, 0, 0, 3),
+            multiDay: Boolean(data.multiDay),
+            day1Rounds: MtgCore.sanitizeInt(data.day1Rounds, 8, 1, 20),
+            day2Threshold: MtgCore.sanitizeInt(data.day2Threshold, 18, 0, 60),
+            drawRate: MtgCore.sanitizeInt(data.drawRate, 4, 0, 50),
+            fieldWinRate: MtgCore.sanitizeInt(data.fieldWinRate, 50, 0, 100),
+            modelMode: data.modelMode === 'exact' ? 'exact' : 'simulation',
+            dropModel: DROP_PRESETS.hasOwnProperty(data.dropModel) || data.dropModel === 'custom' ? data.dropModel : 'none',
+            dropZeroLoss: MtgCore.sanitizeInt(data.dropZeroLoss, 0, 0, 100),
+            dropOneLoss: MtgCore.sanitizeInt(data.dropOneLoss, 2, 0, 100),
+            dropTwoLoss: MtgCore.sanitizeInt(data.dropTwoLoss, 10, 0, 100),
+            dropThreeLoss: MtgCore.sanitizeInt(data.dropThreeLoss, 30, 0, 100),
+            playersRemaining: parsePlayersRemaining(data.playersRemaining).join(', '),
+            matchWinRate: MtgCore.sanitizeInt(data.matchWinRate, 50, 0, 100),
+            matchDrawRate: MtgCore.sanitizeInt(data.matchDrawRate, 0, 0, 100),
+            idAcceptRate: MtgCore.sanitizeInt(data.idAcceptRate, 80, 0, 100),
+            payoutTiers: sanitizePayoutTiers(data.payoutTiers),
+            packValue: MtgCore.sanitizeInt(data.packValue, 4, 0, 1000),
+            standingsText: typeof data.standingsText === 'string' ? data.standingsText.slice(0, MAX_STANDINGS_LENGTH) : '',
+            standingsName: typeof data.standingsName === 'string' ? data.standingsName.slice(0, 100) : '',
             inProgress: Boolean(data.inProgress),
             roundResults: sanitizeRoundResults(data.roundResults),
-            wins: sanitizeInt(data.wins, 0, 0, 1000),
-            losses: sanitizeInt(data.losses, 0, 0, 1000),
-            draws: sanitizeInt(data.draws, 0, 0, 1000)
+            roundDetails: sanitizeRoundDetails(data.roundDetails),
+            wins: MtgCore.sanitizeInt(data.wins, 0, 0, 1000),
+            losses: MtgCore.sanitizeInt(data.losses, 0, 0, 1000),
+            draws: MtgCore.sanitizeInt(data.draws, 0, 0, 1000)
         };
     }
 
     function applyTournamentData(data) {
         playersInput.value = data.players;
         prizePositionInput.value = data.prizePosition;
+        structureInput.value = data.structure;
+        roundsOverrideInput.value = data.roundsOverride > 0 ? data.roundsOverride : '';
+        byesInput.value = data.byes;
+        appliedByes = data.byes;
+        multiDayToggle.checked = data.multiDay;
+        day1RoundsInput.value = data.day1Rounds;
+        day2ThresholdInput.value = data.day2Threshold;
+        multiDayInputs.classList.toggle('hidden', !data.multiDay);
+        drawRateInput.value = data.drawRate;
+        fieldWinRateInput.value = data.fieldWinRate;
+        modelModeInput.value = data.modelMode;
+        dropModelInput.value = data.dropModel;
+        dropZeroLossInput.value = data.dropZeroLoss;
+        dropOneLossInput.value = data.dropOneLoss;
+        dropTwoLossInput.value = data.dropTwoLoss;
+        dropThreeLossInput.value = data.dropThreeLoss;
+        playersRemainingInput.value = data.playersRemaining;
+        dropCustomInputs.classList.toggle('hidden', data.dropModel !== 'custom');
+        matchWinRateInput.value = data.matchWinRate;
+        matchDrawRateInput.value = data.matchDrawRate;
+        idAcceptRateInput.value = data.idAcceptRate;
+        payoutTiers = data.payoutTiers;
+        packValueInput.value = data.packValue;
+        buildPayoutEditor();
+        standingsTextInput.value = data.standingsText;
+        standingsNameInput.value = data.standingsName;
+        liveStandings = data.standingsText ? StandingsImport.parseStandings(data.standingsText) : null;
+        if (liveStandings && liveStandings.players.length === 0) liveStandings = null;
         inProgressToggle.checked = data.inProgress;
         roundResults = data.roundResults;
+        roundDetails = data.roundDetails;
         winsInput.value = data.wins;
         lossesInput.value = data.losses;
         drawsInput.value = data.draws;
+        renderLiveStandings(); // after the rounds: they hold our pairing history
     }
 
     function getScrollBehavior() {
@@ -255,71 +387,1090 @@
         }, 80);
     }
 
-    function saveTournamentData() {
-        var data = {
+    /**
+     * The inputs and rounds of the tournament on screen, as saved
+     */
+    function getTournamentData() {
+        return {
             players: playersInput.value,
             prizePosition: prizePositionInput.value,
+            structure: structureInput.value,
+            roundsOverride: roundsOverrideInput.value,
+            byes: byesInput.value,
+            multiDay: multiDayToggle.checked,
+            day1Rounds: day1RoundsInput.value,
+            day2Threshold: day2ThresholdInput.value,
+            drawRate: drawRateInput.value,
+            fieldWinRate: fieldWinRateInput.value,
+            modelMode: modelModeInput.value,
+            dropModel: dropModelInput.value,
+            dropZeroLoss: dropZeroLossInput.value,
+            dropOneLoss: dropOneLossInput.value,
+            dropTwoLoss: dropTwoLossInput.value,
+            dropThreeLoss: dropThreeLossInput.value,
+            playersRemaining: playersRemainingInput.value,
+            matchWinRate: matchWinRateInput.value,
+            matchDrawRate: matchDrawRateInput.value,
+            idAcceptRate: idAcceptRateInput.value,
+            payoutTiers: payoutTiers,
+            packValue: packValueInput.value,
+            standingsText: liveStandings ? standingsTextInput.value : '',
+            standingsName: standingsNameInput.value,
             inProgress: inProgressToggle.checked,
             roundResults: roundResults,
+            roundDetails: roundDetails,
             wins: winsInput.value,
             losses: lossesInput.value,
             draws: drawsInput.value,
             savedAt: new Date().toISOString()
         };
-        var serialized;
-        try {
-            serialized = JSON.stringify(data);
-        } catch (e) {
+    }
+
+    function saveTournamentData() {
+        var active = getActiveTournament();
+        if (!active) return; // storage still opening
+        active.data = getTournamentData();
+        active.omw = getOmwComparison();
+        saveTournamentRecord(active);
+        saveTournamentIndex();
+    }
+
+    function loadTournamentData() {
+        loadTournamentStore();
+        var active = getActiveTournament();
+        applyTournamentData(normalizeTournamentData(active.data) || getDefaultTournamentData());
+        loadEditHistory(active);
+        renderTournamentList();
+        return Boolean(active.data);
+    }
+
+    // =====================
+    // Shareable Links
+    // =====================
+
+    // ?s=<version>.<players>.<prize>.<structure>.<rounds>.<byes>.<record>.<day 2>.<win %>.<draw %>.<ID accept %>
+    // record: tracker results ("WWL_D", _ = not played yet) or a typed record ("3-1-0")
+    // day 2: "<day 1 rounds>-<threshold>", empty for single-day events
+    var SHARE_PARAM = 's';
+    var SHARE_VERSION = 1;
+
+    function encodeShareState(data) {
+        var record = data.inProgress
+            ? data.roundResults.map(function (result) { return result || '_'; }).join('').replace(/_+$/, '')
+            : data.wins + '-' + data.losses + '-' + data.draws;
+        return [
+            SHARE_VERSION,
+            data.players,
+            data.prizePosition,
+            data.structure,
+            data.roundsOverride,
+            data.byes,
+            record,
+            data.multiDay ? data.day1Rounds + '-' + data.day2Threshold : '',
+            data.matchWinRate,
+            data.matchDrawRate,
+            data.idAcceptRate
+        ].join('.');
+    }
+
+    /**
+     * Turn a shared state back into tournament data, or null when the link is
+     * broken or comes from a newer version of the app.
+     */
+    function decodeShareState(text) {
+        var parts = String(text).split('.');
+        if (parts.length !== 11 || parseInt(parts[0], 10) !== SHARE_VERSION) return null;
+
+        var data = getDefaultTournamentData();
+        data.players = parts[1];
+        data.prizePosition = parts[2];
+        data.structure = parts[3];
+        data.roundsOverride = parts[4];
+        data.byes = parts[5];
+
+        var record = parts[6];
+        var typed = /^(\d+)-(\d+)-(\d+)$/.exec(record);
+        if (typed) {
+            data.wins = typed[1];
+            data.losses = typed[2];
+            data.draws = typed[3];
+        } else if (/^[WLDB_]{0,20}$/.test(record)) {
+            data.inProgress = true;
+            data.roundResults = record.split('').map(function (result) { return result === '_' ? null : result; });
+        } else {
+            return null;
+        }
+
+        var day2 = /^(\d+)-(\d+)$/.exec(parts[7]);
+        if (day2) {
+            data.multiDay = true;
+            data.day1Rounds = day2[1];
+            data.day2Threshold = day2[2];
+        }
+        data.matchWinRate = parts[8];
+        data.matchDrawRate = parts[9];
+        data.idAcceptRate = parts[10];
+        return normalizeTournamentData(data);
+    }
+
+    function getShareUrl() {
+        var base = window.location.href.split(/[?#]/)[0];
+        return base + '?' + SHARE_PARAM + '=' + encodeShareState(normalizeTournamentData(getTournamentData()));
+    }
+
+    /**
+     * Send a link to the situation on screen: the share sheet where there is
+     * one, otherwise the clipboard
+     */
+    function shareTournament() {
+        saveTournamentData();
+        var url = getShareUrl();
+
+        if (navigator.share) {
+            navigator.share({ title: 'MTG Top 8 Calculator', text: 'Here is my situation \u2014 should I ID?', url: url })
+                .catch(function () { /* share sheet dismissed */ });
+        } else if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(url).then(function () {
+                MtgUi.showToast('Link copied to the clipboard');
+            }, function () {
+                prompt('Copy this link:', url);
+            });
+        } else {
+            prompt('Copy this link:', url);
+        }
+    }
+
+    /**
+     * Open the situation of a shared link in the active tournament, asking
+     * first when that would replace saved data
+     */
+    function openSharedState() {
+        var shared = getUrlParameter(SHARE_PARAM);
+        if (!shared) return false;
+
+        // Reloading the page should not ask again
+        if (window.history && window.history.replaceState) {
+            window.history.replaceState(null, '', window.location.href.split(/[?#]/)[0]);
+        }
+
+        var data = decodeShareState(shared);
+        if (!data) {
+            MtgUi.showToast('This shared link could not be read');
+            return false;
+        }
+        return applySharedData(data);
+    }
+
+    /**
+     * Whether saved data holds results worth confirming before it is replaced:
+     * a logged round or a typed record
+     */
+    function hasLoggedResults(data) {
+        var saved = normalizeTournamentData(data);
+        if (!saved) return false;
+        return saved.roundResults.some(function (result) { return result !== null; }) ||
+            saved.wins > 0 || saved.losses > 0 || saved.draws > 0;
+    }
+
+    function applySharedData(data) {
+        var active = getActiveTournament();
+        if (hasLoggedResults(active.data) && !confirm('Open the shared situation? It replaces the saved data of "' + active.name + '".')) {
+            return false;
+        }
+
+        var previous = { state: committedState, settings: normalizeTournamentData(getTournamentData()) };
+        active.data = data;
+        showTournament();
+        committedState = previous.state;
+        commitEdit('Opened a shared situation', previous.settings);
+        calculate();
+        return true;
+    }
+
+    // =====================
+    // QR Codes
+    // =====================
+
+    var qrScan = null; // { stream, detector, timer } while the camera is on
+
+    /**
+     * Show the share link of the situation on screen as a QR code. A phone's
+     * camera app opens it directly; this page can also scan it.
+     */
+    function renderQrCode() {
+        var qr = QrCode.encodeText(getShareUrl());
+        qrCodeContainer.innerHTML = '';
+        if (!qr) {
+            qrStatus.textContent = 'This situation is too long for a QR code; use Share instead.';
             return;
         }
 
-        setStorageValue(STORAGE_KEY, serialized);
+        var svgNs = 'http://www.w3.org/2000/svg';
+        var extent = qr.size + 8;
+        var svg = document.createElementNS(svgNs, 'svg');
+        svg.setAttribute('viewBox', '0 0 ' + extent + ' ' + extent);
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', 'QR code of this tournament');
+        var background = document.createElementNS(svgNs, 'rect');
+        background.setAttribute('width', extent);
+        background.setAttribute('height', extent);
+        background.setAttribute('fill', '#fff');
+        var path = document.createElementNS(svgNs, 'path');
+        path.setAttribute('d', QrCode.getSvgPath(qr, 4));
+        path.setAttribute('fill', '#000');
+        svg.appendChild(background);
+        svg.appendChild(path);
+        qrCodeContainer.appendChild(svg);
+        qrCodeContainer.classList.remove('hidden');
+        qrStatus.textContent = 'Scan this on the other phone, with this page or with its camera app.';
     }
 
-    function loadTournamentData() {
-        var raw = getStorageValue(STORAGE_KEY);
-        if (!raw) return false;
-        
-        try {
-            var parsed = JSON.parse(raw);
-            var normalized = normalizeTournamentData(parsed);
-            if (!normalized) {
-                removeStorageValue(STORAGE_KEY);
-                return false;
+    /**
+     * Read the situation out of a scanned QR code: a share link or just its state
+     */
+    function importQrText(text) {
+        var match = /[?&]s=([^&#]+)/.exec(text);
+        var data = decodeShareState(match ? decodeURIComponent(match[1]) : text.trim());
+        if (!data) {
+            qrStatus.textContent = 'That QR code does not hold a tournament from this app, or comes from a newer version.';
+            return false;
+        }
+        qrStatus.textContent = '';
+        return applySharedData(data);
+    }
+
+    function getBarcodeDetector() {
+        if (typeof BarcodeDetector === 'undefined') {
+            qrStatus.textContent = 'This browser cannot read QR codes. Open the code with the camera app instead.';
+            return null;
+        }
+        return new BarcodeDetector({ formats: ['qr_code'] });
+    }
+
+    /**
+     * Both ways to import a QR code need the browser's BarcodeDetector (missing
+     * in Safari and Firefox): without it, say so instead of offering them.
+     */
+    function updateQrImportSupport() {
+        function setSupported(supported) {
+            qrScanBtn.classList.toggle('hidden', !supported);
+            qrFileGroup.classList.toggle('hidden', !supported);
+            qrImportUnsupported.classList.toggle('hidden', supported);
+        }
+
+        if (typeof BarcodeDetector === 'undefined') {
+            setSupported(false);
+            return;
+        }
+        if (typeof BarcodeDetector.getSupportedFormats !== 'function') return;
+        BarcodeDetector.getSupportedFormats().then(function (formats) {
+            setSupported(formats.indexOf('qr_code') !== -1);
+        }, function () {
+            // Keep offering the import; getBarcodeDetector reports what fails
+        });
+    }
+
+    function toggleQrScan() {
+        if (qrScan) {
+            stopQrScan();
+            return;
+        }
+        var detector = getBarcodeDetector();
+        if (!detector) return;
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            qrStatus.textContent = 'No camera available here. Load a photo of the QR code instead.';
+            return;
+        }
+
+        navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } }).then(function (stream) {
+            qrScan = { stream: stream, detector: detector, timer: null };
+            qrVideo.srcObject = stream;
+            qrVideo.classList.remove('hidden');
+            qrScanBtn.textContent = 'Stop Camera';
+            qrStatus.textContent = 'Point the camera at the QR code.';
+            qrVideo.play();
+            scanVideoFrame();
+        }, function () {
+            qrStatus.textContent = 'The camera could not be opened. Load a photo of the QR code instead.';
+        });
+    }
+
+    function scanVideoFrame() {
+        if (!qrScan) return;
+        qrScan.detector.detect(qrVideo).then(function (codes) {
+            if (!qrScan) return;
+            if (codes.length > 0) {
+                stopQrScan();
+                importQrText(codes[0].rawValue);
+                return;
+            }
+            qrScan.timer = setTimeout(scanVideoFrame, 300);
+        }, function () {
+            if (qrScan) qrScan.timer = setTimeout(scanVideoFrame, 300);
+        });
+    }
+
+    function stopQrScan() {
+        if (!qrScan) return;
+        clearTimeout(qrScan.timer);
+        qrScan.stream.getTracks().forEach(function (track) { track.stop(); });
+        qrScan = null;
+        qrVideo.srcObject = null;
+        qrVideo.classList.add('hidden');
+        qrScanBtn.textContent = 'Scan with Camera';
+    }
+
+    function onQrFileChange() {
+        var file = qrFileInput.files && qrFileInput.files[0];
+        qrFileInput.value = '';
+        if (!file) return;
+        var detector = getBarcodeDetector();
+        if (!detector) return;
+
+        createImageBitmap(file).then(function (image) {
+            return detector.detect(image);
+        }).then(function (codes) {
+            if (codes.length === 0) {
+                qrStatus.textContent = 'No QR code found in that image.';
+                return;
             }
+            importQrText(codes[0].rawValue);
+        }, function () {
+            qrStatus.textContent = 'That image could not be read.';
+        });
+    }
 
-            applyTournamentData(normalized);
-            return true;
+    function clearTournamentData() {
+        if (confirm('Are you sure you want to clear the saved data of this tournament? This cannot be undone.')) {
+            getActiveTournament().data = null;
+            getActiveTournament().history = null;
+            saveTournamentRecord(getActiveTournament());
+            showTournament();
+        }
+    }
+
+    // =====================
+    // Saved Tournaments
+    // =====================
+
+    function getToday() {
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    function createTournamentEntry(name, data) {
+        return {
+            id: 't' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            name: name,
+            date: getToday(),
+            format: '',
+            deck: '',
+            placement: 0,
+            archived: false,
+            omw: null,
+            history: null,
+            data: data
+        };
+    }
+
+    function sanitizeText(value, maxLength) {
+        return typeof value === 'string' ? value.slice(0, maxLength) : '';
+    }
+
+    /**
+     * A saved tournament from its entry in the list and its own record
+     */
+    function normalizeTournamentEntry(raw, record) {
+        if (!raw || typeof raw !== 'object' || typeof raw.id !== 'string') return null;
+        record = record && typeof record === 'object' ? record : {};
+        return {
+            id: raw.id,
+            name: sanitizeText(raw.name, 80) || 'Tournament',
+            date: /^\d{4}-\d{2}-\d{2}$/.test(raw.date) ? raw.date : getToday(),
+            format: sanitizeText(raw.format, 40),
+            deck: sanitizeText(raw.deck, 80),
+            placement: MtgCore.sanitizeInt(raw.placement, 0, 0, 10000),
+            archived: Boolean(raw.archived),
+            omw: sanitizeOmwComparison(raw.omw),
+            history: sanitizeEditHistory(record.history),
+            data: normalizeTournamentData(record.data)
+        };
+    }
+
+    /**
+     * Estimated OMW% (from the order of results) next to the real one, when the
+     * real one is known from opponent records or the live standings. Kept with
+     * each tournament for the season statistics.
+     * @returns {{ estimated: number, actual: number }|null} fractions 0-1
+     */
+    function getOmwComparison() {
+        var totalRounds = getRounds(parseInt(playersInput.value) || 64);
+        var estimated = MtgCore.estimateOMW(roundResults, totalRounds);
+        if (estimated === null) return null;
+
+        var actual = null;
+        var tiebreakers = computeTiebreakers(roundResults, roundDetails);
+        if (tiebreakers.omwRounds > 0) {
+            actual = tiebreakers.omw;
+        } else if (liveStandings) {
+            var me = StandingsImport.findPlayer(liveStandings.players, standingsNameInput.value);
+            if (me && me.omw !== null) actual = me.omw / 100;
+        }
+        return actual === null ? null : { estimated: estimated, actual: actual };
+    }
+
+    function sanitizeOmwComparison(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        var estimated = parseFloat(raw.estimated);
+        var actual = parseFloat(raw.actual);
+        if (!isFinite(estimated) || !isFinite(actual)) return null;
+        return { estimated: Math.min(1, Math.max(0, estimated)), actual: Math.min(1, Math.max(0, actual)) };
+    }
+
+    /**
+     * Schema version 1 of the saved tournaments: the list format. Version 0 is
+     * either the old single-tournament blob or a list saved before versioning.
+     */
+    function migrateToTournamentList(value) {
+        if (value && Array.isArray(value.tournaments)) return value;
+        var entry = createTournamentEntry('My Tournament', value && typeof value === 'object' ? value : null);
+        if (value && typeof value.savedAt === 'string') entry.date = value.savedAt.slice(0, 10);
+        return { activeId: entry.id, tournaments: [entry] };
+    }
+
+    /**
+     * Schema version 2: the list keeps only the details of each tournament. Its
+     * data and edit history move to a record of their own, so a change to one
+     * tournament does not rewrite all of them. The records are carried in
+     * `unsplitRecords` until loadTournamentStore writes them.
+     */
+    function splitTournamentRecords(value) {
+        var records = {};
+        var tournaments = (value && Array.isArray(value.tournaments) ? value.tournaments : []).map(function (entry) {
+            if (!entry || typeof entry !== 'object') return entry;
+            var details = {};
+            Object.keys(entry).forEach(function (key) {
+                if (key !== 'data' && key !== 'history') details[key] = entry[key];
+            });
+            records[entry.id] = { data: entry.data || null, history: entry.history || null };
+            return details;
+        });
+        return { activeId: value && value.activeId, tournaments: tournaments, unsplitRecords: records };
+    }
+
+    MtgStorage.registerMigrations(TOURNAMENTS_KEY, [migrateToTournamentList, splitTournamentRecords], { legacyKeys: [STORAGE_KEY] });
+
+    function getTournamentRecordKey(id) {
+        return TOURNAMENT_RECORD_PREFIX + id;
+    }
+
+    /**
+     * Read the saved tournaments. There is always at least one active tournament.
+     */
+    function loadTournamentStore() {
+        var store = MtgStorage.get(TOURNAMENTS_KEY);
+        var unsplit = store && store.unsplitRecords && typeof store.unsplitRecords === 'object' ? store.unsplitRecords : null;
+        var tournaments = store && Array.isArray(store.tournaments)
+            ? store.tournaments.map(function (raw) {
+                var id = raw && raw.id;
+                var record = unsplit && unsplit[id] ? unsplit[id] : MtgStorage.get(getTournamentRecordKey(id));
+                return normalizeTournamentEntry(raw, record);
+            }).filter(Boolean)
+            : [];
+        if (tournaments.length === 0) tournaments.push(createTournamentEntry('My Tournament', null));
+
+        tournamentStore = {
+            activeId: store && typeof store.activeId === 'string' ? store.activeId : tournaments[0].id,
+            tournaments: tournaments
+        };
+        if (!getActiveTournament()) tournamentStore.activeId = tournaments[0].id;
+        if (MtgStorage.isFromNewerVersion(TOURNAMENTS_KEY)) {
+            MtgUi.showToast('Saved by a newer version of the app: changes here will not be saved');
+        }
+
+        if (unsplit) {
+            tournaments.forEach(saveTournamentRecord);
+            saveTournamentIndex();
+        }
+    }
+
+    /**
+     * Save the list of tournaments and their details (not their data)
+     */
+    function saveTournamentIndex() {
+        return MtgStorage.set(TOURNAMENTS_KEY, {
+            activeId: tournamentStore.activeId,
+            tournaments: tournamentStore.tournaments.map(function (entry) {
+                return {
+                    id: entry.id,
+                    name: entry.name,
+                    date: entry.date,
+                    format: entry.format,
+                    deck: entry.deck,
+                    placement: entry.placement,
+                    archived: entry.archived,
+                    omw: entry.omw ? { estimated: entry.omw.estimated, actual: entry.omw.actual } : null
+                };
+            })
+        });
+    }
+
+    /**
+     * Save the data and edit history of one tournament
+     */
+    function saveTournamentRecord(entry) {
+        var snapshot;
+        try {
+            snapshot = JSON.parse(JSON.stringify({ data: entry.data, history: entry.history }));
         } catch (e) {
-            console.log('Error loading tournament data:', e);
-            removeStorageValue(STORAGE_KEY);
             return false;
         }
+        return MtgStorage.set(getTournamentRecordKey(entry.id), snapshot);
     }
 
-    function clearTournamentData() {
-        if (confirm('Are you sure you want to clear all saved tournament data? This cannot be undone.')) {
-            removeStorageValue(STORAGE_KEY);
-            applyTournamentData(getDefaultTournamentData());
-            updateRoundsDisplay();
-            onToggleChange();
-            updateRecordDisplay();
-            resultsSection.classList.add('hidden');
-            strategySection.classList.add('hidden');
+    function getActiveTournament() {
+        for (var i = 0; i < tournamentStore.tournaments.length; i++) {
+            if (tournamentStore.tournaments[i].id === tournamentStore.activeId) return tournamentStore.tournaments[i];
+        }
+        return null;
+    }
+
+    /**
+     * Fill the tournament picker (archived ones in their own group) and the
+     * details of the active tournament.
+     */
+    function renderTournamentList() {
+        var active = getActiveTournament();
+        tournamentSelect.innerHTML = '';
+        var current = document.createElement('optgroup');
+        current.label = 'Tournaments';
+        var archive = document.createElement('optgroup');
+        archive.label = 'Archive';
+
+        tournamentStore.tournaments.forEach(function (tournament) {
+            var option = document.createElement('option');
+            option.value = tournament.id;
+            option.textContent = tournament.date + ' \u00b7 ' + tournament.name +
+                (tournament.placement > 0 ? ' (' + tournament.placement + getOrdinalSuffix(tournament.placement) + ')' : '');
+            (tournament.archived ? archive : current).appendChild(option);
+        });
+        if (current.children.length > 0) tournamentSelect.appendChild(current);
+        if (archive.children.length > 0) tournamentSelect.appendChild(archive);
+        tournamentSelect.value = active.id;
+
+        tournamentNameInput.value = active.name;
+        tournamentDateInput.value = active.date;
+        tournamentFormatInput.value = active.format;
+        tournamentDeckInput.value = active.deck;
+        tournamentPlacementInput.value = active.placement > 0 ? active.placement : '';
+        archiveTournamentBtn.textContent = active.archived ? 'Restore' : 'Archive';
+    }
+
+    function getOrdinalSuffix(n) {
+        var lastTwo = n % 100;
+        if (lastTwo >= 11 && lastTwo <= 13) return 'th';
+        return ['th', 'st', 'nd', 'rd'][n % 10] || 'th';
+    }
+
+    /**
+     * Show the active tournament's data as if the page had just been opened
+     */
+    function showTournament() {
+        var active = getActiveTournament();
+        applyTournamentData(normalizeTournamentData(active.data) || getDefaultTournamentData());
+        loadEditHistory(active);
+        renderTournamentList();
+        updateRoundsDisplay();
+        onToggleChange();
+        updateRecordDisplay();
+        resultsSection.classList.add('hidden');
+        strategySection.classList.add('hidden');
+    }
+
+    function switchTournament(id) {
+        saveTournamentData();
+        tournamentStore.activeId = id;
+        saveTournamentIndex();
+        showTournament();
+    }
+
+    function newTournament() {
+        saveTournamentData();
+        var entry = createTournamentEntry('Tournament ' + (tournamentStore.tournaments.length + 1), null);
+        tournamentStore.tournaments.unshift(entry);
+        tournamentStore.activeId = entry.id;
+        saveTournamentIndex();
+        showTournament();
+        tournamentNameInput.focus();
+    }
+
+    function toggleArchiveTournament() {
+        var active = getActiveTournament();
+        active.archived = !active.archived;
+        saveTournamentIndex();
+        renderTournamentList();
+    }
+
+    function deleteTournament() {
+        var active = getActiveTournament();
+        if (!confirm('Delete "' + active.name + '" and all its rounds? This cannot be undone.')) return;
+
+        tournamentStore.tournaments = tournamentStore.tournaments.filter(function (tournament) {
+            return tournament !== active;
+        });
+        if (tournamentStore.tournaments.length === 0) {
+            tournamentStore.tournaments.push(createTournamentEntry('My Tournament', null));
         }
+        var next = tournamentStore.tournaments.filter(function (tournament) { return !tournament.archived; })[0] ||
+            tournamentStore.tournaments[0];
+        tournamentStore.activeId = next.id;
+        MtgStorage.remove(getTournamentRecordKey(active.id));
+        saveTournamentIndex();
+        showTournament();
+    }
+
+    function onTournamentDetailsChange() {
+        var active = getActiveTournament();
+        active.name = tournamentNameInput.value.trim().slice(0, 80) || 'Tournament';
+        active.date = /^\d{4}-\d{2}-\d{2}$/.test(tournamentDateInput.value) ? tournamentDateInput.value : active.date;
+        active.format = tournamentFormatInput.value.trim().slice(0, 40);
+        active.deck = tournamentDeckInput.value.trim().slice(0, 80);
+        active.placement = MtgCore.sanitizeInt(tournamentPlacementInput.value, 0, 0, 10000);
+        saveTournamentIndex();
+        renderTournamentList();
     }
 
     // =====================
     // Tournament Math
     // =====================
 
+    /**
+     * MTR Appendix E recommended Swiss rounds by attendance
+     */
+    var MTR_ROUNDS = [
+        { maxPlayers: 8, rounds: 3 },
+        { maxPlayers: 16, rounds: 4 },
+        { maxPlayers: 32, rounds: 5 },
+        { maxPlayers: 64, rounds: 6 },
+        { maxPlayers: 128, rounds: 7 },
+        { maxPlayers: 226, rounds: 8 },
+        { maxPlayers: 409, rounds: 9 },
+        { maxPlayers: Infinity, rounds: 10 }
+    ];
+
+    // Competitive REL adds a round for small fields so a Top 8 cut is meaningful
+    var COMPETITIVE_ROUNDS = [
+        { maxPlayers: 8, rounds: 3 },
+        { maxPlayers: 32, rounds: 5 },
+        { maxPlayers: 64, rounds: 6 },
+        { maxPlayers: 128, rounds: 7 },
+        { maxPlayers: 226, rounds: 8 },
+        { maxPlayers: 409, rounds: 9 },
+        { maxPlayers: Infinity, rounds: 10 }
+    ];
+
+    // Typical Regional Championship structures (two days of Swiss)
+    var REGIONAL_ROUNDS = [
+        { maxPlayers: 128, rounds: 10 },
+        { maxPlayers: 226, rounds: 12 },
+        { maxPlayers: 409, rounds: 13 },
+        { maxPlayers: Infinity, rounds: 14 }
+    ];
+
+    /**
+     * Event structure presets: round count and cut size for a player count
+     */
+    var EVENT_STRUCTURES = {
+        fnm: {
+            label: 'FNM',
+            rounds: function (players) { return lookupRounds(MTR_ROUNDS, players); },
+            cut: function (players) { return players <= 8 ? 4 : 8; }
+        },
+        rcq: {
+            label: 'RCQ',
+            rounds: function (players) { return lookupRounds(COMPETITIVE_ROUNDS, players); },
+            cut: function (players) { return players <= 8 ? 4 : 8; }
+        },
+        rc: {
+            label: 'Regional Championship',
+            rounds: function (players) { return lookupRounds(REGIONAL_ROUNDS, players); },
+            cut: function () { return 8; }
+        },
+        pt: {
+            label: 'Pro Tour',
+            rounds: function () { return 16; },
+            cut: function () { return 8; }
+        },
+        custom: {
+            label: 'Custom',
+            rounds: function (players) { return lookupRounds(MTR_ROUNDS, players); },
+            cut: null
+        }
+    };
+
+    function lookupRounds(table, players) {
+        for (var i = 0; i < table.length; i++) {
+            if (players <= table[i].maxPlayers) return table[i].rounds;
+        }
+        return table[table.length - 1].rounds;
+    }
+
+    function getStructure() {
+        return EVENT_STRUCTURES[structureInput.value] || EVENT_STRUCTURES.fnm;
+    }
+
+    /**
+     * Swiss rounds for the selected event structure, unless overridden manually
+     */
     function getRounds(players) {
         if (players < 2) return 0;
-        return Math.ceil(Math.log2(players));
+        var override = MtgCore.sanitizeInt(roundsOverrideInput.value, 0, 0, 20);
+        if (override > 0) return override;
+        return getStructure().rounds(players);
+    }
+
+    /**
+     * Drop-rate presets: chance that a player drops after a round,
+     * by number of losses (0, 1, 2, 3 or more)
+     */
+    var DROP_PRESETS = {
+        none: [0, 0, 0, 0],
+        light: [0, 0, 0.03, 0.1],
+        typical: [0, 0.01, 0.08, 0.25],
+        heavy: [0, 0.02, 0.15, 0.4]
+    };
+
+    function getDropRates() {
+        if (dropModelInput.value === 'custom') {
+            return [MtgCore.sanitizeInt(dropZeroLossInput.value, 0, 0, 100) / 100,
+                MtgCore.sanitizeInt(dropOneLossInput.value, 2, 0, 100) / 100,
+                MtgCore.sanitizeInt(dropTwoLossInput.value, 10, 0, 100) / 100,
+                MtgCore.sanitizeInt(dropThreeLossInput.value, 30, 0, 100) / 100];
+        }
+        return DROP_PRESETS[dropModelInput.value] || DROP_PRESETS.none;
+    }
+
+    /**
+     * Parse "128, 124, 115" into the number of players paired in each round
+     */
+    function parsePlayersRemaining(text) {
+        if (typeof text !== 'string') return [];
+        return text.split(/[\s,;]+/).filter(function (part) {
+            return part !== '';
+        }).slice(0, 20).map(function (part) {
+            return MtgCore.sanitizeInt(part, 0, 0, 10000);
+        });
+    }
+
+    /**
+     * Read the simulation settings from the UI
+     */
+    function getSimulationOptions() {
+        var drawRate = MtgCore.sanitizeInt(drawRateInput.value, 4, 0, 50);
+        var winRate = MtgCore.sanitizeInt(fieldWinRateInput.value, 50, 0, 100);
+        return {
+            drawRate: drawRate / 100,
+            winRate: winRate / 100,
+            dropRates: getDropRates(),
+            activeCounts: parsePlayersRemaining(playersRemainingInput.value)
+        };
+    }
+
+    /**
+     * Run (or reuse) the standings model for this field: the Monte Carlo
+     * simulation or the exact expected distribution, depending on the selected mode
+     */
+    function getStandingsModel(numPlayers, totalRounds) {
+        var options = getSimulationOptions();
+        options.dayCut = getDayCut(totalRounds);
+        if (hasLiveStandings(totalRounds)) {
+            // Project the real field forward instead of starting from an empty one
+            return {
+                iterations: 1,
+                maxPoints: totalRounds * 3,
+                counts: [SwissModel.projectPointDistribution(StandingsImport.getPointHistogram(liveStandings.players),
+                    liveStandings.roundsPlayed, totalRounds, options)],
+                exact: true
+            };
+        }
+        if (modelModeInput.value === 'exact') {
+            return SwissModel.runExactModel(numPlayers, totalRounds, options);
+        }
+        return SwissModel.runSimulation(numPlayers, totalRounds, options);
+    }
+
+    // =====================
+    // Live Standings
+    // =====================
+
+    /**
+     * Imported standings apply while they describe the current event
+     */
+    function hasLiveStandings(totalRounds) {
+        return liveStandings !== null && liveStandings.roundsPlayed <= totalRounds;
+    }
+
+    /**
+     * Points of everyone else in the live standings, when they were taken after
+     * the same round as the tracker. Without a name match, one player on our
+     * current points stands in for us.
+     * @returns {number[]|null}
+     */
+    function getOtherStandingsPoints(roundsPlayed, totalRounds, currentPoints) {
+        if (!hasLiveStandings(totalRounds) || liveStandings.roundsPlayed !== roundsPlayed) return null;
+
+        var players = liveStandings.players;
+        var me = StandingsImport.findPlayer(players, standingsNameInput.value);
+        if (me && me.points !== currentPoints) return null;
+        if (!me) {
+            for (var i = 0; i < players.length && !me; i++) {
+                if (players[i].points === currentPoints) me = players[i];
+            }
+        }
+        if (!me) return null;
+
+        return players.filter(function (player) { return player !== me; })
+            .map(function (player) { return player.points; });
+    }
+
+    function loadStandings(text) {
+        var parsed = StandingsImport.parseStandings(text);
+        if (parsed.players.length === 0) {
+            alert('No players found. Paste a Melee.gg CSV, EventLink / Companion or MTGO standings export.');
+            return;
+        }
+
+        liveStandings = parsed;
+        standingsTextInput.value = text;
+        playersInput.value = Math.max(8, parsed.players.length);
+        updateRoundsDisplay();
+        renderLiveStandings();
+        saveTournamentData();
+        scheduleRecalculate();
     }
 
-    function getMatchPoints(wins, draws) {
-        return wins * 3 + draws * 1;
+    function clearStandings() {
+        liveStandings = null;
+        standingsTextInput.value = '';
+        standingsFileInput.value = '';
+        renderLiveStandings();
+        saveTournamentData();
+        scheduleRecalculate();
+    }
+
+    function onStandingsFileChange() {
+        var file = standingsFileInput.files && standingsFileInput.files[0];
+        if (!file) return;
+        if (file.size > MAX_STANDINGS_LENGTH) {
+            alert('That file is too large to be a standings export.');
+            return;
+        }
+        var reader = new FileReader();
+        reader.onload = function () {
+            loadStandings(String(reader.result || ''));
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Status line and a standings preview: the prize positions, a few rows
+     * below the cut and the player's own row.
+     */
+    function renderLiveStandings() {
+        standingsBody.innerHTML = '';
+        opponentNamesList.innerHTML = '';
+        standingsClearBtn.classList.toggle('hidden', liveStandings === null);
+        standingsTableWrapper.classList.toggle('hidden', liveStandings === null);
+        if (!liveStandings) {
+            standingsStatus.textContent = '';
+            return;
+        }
+
+        var players = liveStandings.players;
+        var prizePosition = parseInt(prizePositionInput.value) || 8;
+        players.forEach(function (player) {
+            var option = document.createElement('option');
+            option.value = player.name;
+            opponentNamesList.appendChild(option);
+        });
+        var cutoff = StandingsImport.getCutoffPoints(players, prizePosition);
+        var me = StandingsImport.findPlayer(players, standingsNameInput.value);
+
+        var status = 'Loaded ' + players.length + ' players (' + StandingsImport.FORMAT_LABELS[liveStandings.format] +
+            ') after round ' + liveStandings.roundsPlayed + '. Current Top ' + prizePosition + ' cutoff: ' + cutoff + ' points.';
+        if (me) {
+            status += ' You are #' + me.rank + ' on ' + me.points + ' points.';
+        } else if (standingsNameInput.value.trim() !== '') {
+            status += ' "' + standingsNameInput.value.trim() + '" was not found.';
+        }
+        standingsStatus.textContent = status;
+
+        var shown = Math.min(players.length, prizePosition + 8);
+        var rows = players.slice(0, shown);
+        if (me && me.rank > shown) {
+            rows.push(null); // gap before the player's own row
+            rows.push(me);
+        }
+
+        rows.forEach(function (player, index) {
+            var tr = document.createElement('tr');
+            if (player === null) {
+                tr.innerHTML = '<td colspan="4">&hellip;</td>';
+                standingsBody.appendChild(tr);
+                return;
+            }
+            if (player === me) tr.className = 'current-row';
+            if (index === prizePosition - 1) tr.classList.add('standings-cut');
+            [player.rank, player.name, player.points, player.omw !== null ? player.omw.toFixed(2) + '%' : '\u2014'].forEach(function (value) {
+                var td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            standingsBody.appendChild(tr);
+        });
+
+        renderPairingPrediction(me, prizePosition);
+    }
+
+    /**
+     * Our pairing history as standings ids: the opponents named in the round
+     * details of the rounds played and whether we already had a bye.
+     * @returns {{ opponents: number[], hadBye: boolean }}
+     */
+    function getPairingHistory(players) {
+        var history = { opponents: [], hadBye: false };
+        roundResults.forEach(function (result, index) {
+            if (result === 'B') history.hadBye = true;
+            if (result === null || !roundDetails[index] || !roundDetails[index].opponentName) return;
+            var opponent = StandingsImport.findPlayer(players, roundDetails[index].opponentName);
+            if (opponent) history.opponents.push(players.indexOf(opponent));
+        });
+        return history;
+    }
+
+    /**
+     * Next-round outlook from the live standings: the point totals our next
+     * opponent is likely to have and, before the last round, whether every
+     * player at the top tables of a sample pairing can ID into the prize positions.
+     * Exports carry no pairing history, so only our own comes in, from the
+     * tracker: rematches with the opponents we named are avoided and a bye we
+     * already had is not given again. Everybody else may still rematch.
+     */
+    function renderPairingPrediction(me, prizePosition) {
+        var totalRounds = getRounds(parseInt(playersInput.value) || 64);
+        var roundsLeft = totalRounds - liveStandings.roundsPlayed;
+        pairingPrediction.innerHTML = '';
+        pairingPrediction.classList.toggle('hidden', roundsLeft <= 0);
+        if (roundsLeft <= 0) return;
+
+        var field = liveStandings.players.map(function (player, index) {
+            return { id: index, points: player.points };
+        });
+        if (me) {
+            var history = getPairingHistory(liveStandings.players);
+            var mine = field[liveStandings.players.indexOf(me)];
+            mine.opponents = history.opponents;
+            mine.hadBye = history.hadBye;
+        }
+        var lines = [];
+
+        if (me) {
+            var prediction = SwissPairing.predictOpponentPoints(field, liveStandings.players.indexOf(me), 200, 1);
+            var parts = Object.keys(prediction.opponentPoints).sort(function (a, b) { return b - a; })
+                .map(function (points) {
+                    return points + ' pts ' + Math.round(prediction.opponentPoints[points] * 100) + '%';
+                });
+            if (prediction.byeShare > 0) parts.push('bye ' + Math.round(prediction.byeShare * 100) + '%');
+            lines.push('<strong>Next opponent:</strong> ' + parts.join(', '));
+        }
+
+        if (roundsLeft === 1) {
+            var round = SwissPairing.pairRound(field, { seed: 1 });
+            var topTables = round.tables.slice(0, Math.floor(prizePosition / 2));
+            var unsafe = topTables.filter(function (table) {
+                return table.players.some(function (player) {
+                    var others = field.filter(function (other) { return other !== player; })
+                        .map(function (other) { return other.points; });
+                    return StandingsImport.getClinchStatus(others, player.points + 1, 1, prizePosition,
+                        { wins: 0, losses: 0, draws: 1 }) !== 'clinched';
+                });
+            });
+            lines.push(unsafe.length === 0
+                ? '<strong>Top tables:</strong> tables 1\u2013' + topTables.length + ' can all ID safely'
+                : '<strong>Top tables:</strong> ' + unsafe.map(function (table) {
+                    return 'table ' + table.table + ' (' + table.players[0].points + '\u2013' + table.players[1].points + ')';
+                }).join(', ') + ' cannot ID safely');
+        }
+
+        pairingPrediction.innerHTML = lines.map(function (line) { return '<li>' + line + '</li>'; }).join('');
+        pairingPrediction.classList.toggle('hidden', lines.length === 0);
+    }
+
+    // =====================
+    // Multi-Day Events
+    // =====================
+
+    /**
+     * Day 2 cut for a linked multi-day event, or null for a single-day event
+     * @returns {{ afterRound: number, minPoints: number }|null}
+     */
+    function getDayCut(totalRounds) {
+        if (!multiDayToggle.checked) return null;
+        var day1Rounds = MtgCore.sanitizeInt(day1RoundsInput.value, 8, 1, 20);
+        if (day1Rounds >= totalRounds) return null;
+        return { afterRound: day1Rounds, minPoints: MtgCore.sanitizeInt(day2ThresholdInput.value, 18, 0, 60) };
+    }
+
+    /**
+     * Expected number of players who clear the Day 2 threshold
+     */
+    function getExpectedDay2Field(numPlayers, dayCut) {
+        var options = getSimulationOptions();
+        var histogram = SwissModel.computePointDistribution(numPlayers, dayCut.afterRound, options);
+        var field = 0;
+        for (var p = dayCut.minPoints; p < histogram.length; p++) field += histogram[p];
+        return field;
+    }
+
+    function choose(n, k) {
+        if (k < 0 || k > n) return 0;
+        return factorial(n) / (factorial(k) * factorial(n - k));
+    }
+
+    /**
+     * Chance that a set of extra results (in random order) still carries the player
+     * into Day 2, given the Day 1 points already banked and the Day 1 rounds still open.
+     * Every order of the extra results is equally likely, so the Day 1 share of them
+     * follows a multivariate hypergeometric distribution.
+     */
+    function getDay2Chance(dayCut, extraWins, extraLosses, extraDraws, knownDay1Points, openDay1Rounds) {
+        if (!dayCut) return 1;
+        var total = extraWins + extraLosses + extraDraws;
+        var open = Math.min(openDay1Rounds, total);
+        if (open <= 0) return knownDay1Points >= dayCut.minPoints ? 1 : 0;
+
+        var advancing = 0;
+        for (var w = 0; w <= Math.min(extraWins, open); w++) {
+            for (var d = 0; d <= Math.min(extraDraws, open - w); d++) {
+                if (knownDay1Points + w * 3 + d < dayCut.minPoints) continue;
+                advancing += choose(extraWins, w) * choose(extraDraws, d) * choose(extraLosses, open - w - d);
+            }
+        }
+        return advancing / choose(total, open);
+    }
+
+    /**
+     * Day 1 points banked in the round tracker and Day 1 rounds not yet played
+     */
+    function getTrackerDay1Progress(dayCut) {
+        var progress = { points: 0, open: 0 };
+        if (!dayCut) return progress;
+        for (var i = 0; i < dayCut.afterRound; i++) {
+            var result = roundResults[i];
+            if (result === 'W' || result === 'B') progress.points += 3;
+            else if (result === 'D') progress.points += 1;
+            else if (result === undefined || result === null) progress.open++;
+        }
+        return progress;
     }
 
     /**
@@ -327,201 +1478,275 @@
      * @param {number} numPlayers - Total number of players
      * @param {number} prizePosition - The desired prize position (8, 16, 32, etc.)
      * @param {number} totalRounds - Total number of rounds
-     * @returns {number} Minimum match points needed
+     * @returns {number} Lowest match points that make the prize at least half of the time
      */
     function getThresholdPoints(numPlayers, prizePosition, totalRounds) {
         if (numPlayers <= prizePosition) return 0; // Everyone makes the prize
-        
-        // Calculate the percentage of players who make the prize
-        var prizePercentage = prizePosition / numPlayers;
-        
-        // Maximum possible points in the tournament
-        var maxPoints = totalRounds * 3;
-        
-        // Base threshold: proportional to prize percentage
-        // Higher percentage = lower threshold needed
-        var baseThreshold;
-        
-        if (prizePercentage >= 0.5) {
-            // Top 50% or better: need minimum points
-            baseThreshold = Math.ceil(maxPoints * 0.4);
-        } else if (prizePercentage >= 0.25) {
-            // Top 25-50%: need moderate points
-            baseThreshold = Math.ceil(maxPoints * 0.5);
-        } else if (prizePercentage >= 0.125) {
-            // Top 8-25%: need good points
-            baseThreshold = Math.ceil(maxPoints * 0.65);
-        } else if (prizePercentage >= 0.0625) {
-            // Top 4-8%: need very good points
-            baseThreshold = Math.ceil(maxPoints * 0.75);
-        } else {
-            // Top 2-4%: need excellent points
-            baseThreshold = Math.ceil(maxPoints * 0.83);
+        if (hasLiveStandings(totalRounds) && liveStandings.roundsPlayed === totalRounds) {
+            return StandingsImport.getCutoffPoints(liveStandings.players, prizePosition);
         }
-        
-        return baseThreshold;
+
+        return MtgCore.getThresholdPoints(getStandingsModel(numPlayers, totalRounds), numPlayers, prizePosition);
     }
 
-    function generateAllRecords(rounds) {
-        var records = [];
-        for (var w = rounds; w >= 0; w--) {
-            for (var d = rounds - w; d >= 0; d--) {
-                var l = rounds - w - d;
-                records.push({ wins: w, losses: l, draws: d });
+    // =====================
+    // Tiebreakers (MTR)
+    // =====================
+
+    // MTR: match-win and game-win percentages are never counted below 1/3
+    var TIEBREAKER_FLOOR = 1 / 3;
+
+    /**
+     * Parse a "W-L" or "W-L-D" record (also used for game scores like "2-1")
+     */
+    function parseRecord(text) {
+        if (typeof text !== 'string') return null;
+        var match = text.trim().match(/^(\d+)\s*[-\/]\s*(\d+)(?:\s*[-\/]\s*(\d+))?$/);
+        if (!match) return null;
+        var record = {
+            wins: parseInt(match[1], 10),
+            losses: parseInt(match[2], 10),
+            draws: match[3] !== undefined ? parseInt(match[3], 10) : 0
+        };
+        if (record.wins + record.losses + record.draws === 0) return null;
+        return record;
+    }
+
+    /**
+     * Win percentage with 3/1/0 points
+     */
+    function getWinPercentage(record) {
+        var played = record.wins + record.losses + record.draws;
+        return (record.wins * 3 + record.draws) / (played * 3);
+    }
+
+    /**
+     * An opponent's win percentage, floored at 33% per MTR. The player's own
+     * percentages are not floored.
+     */
+    function getOpponentWinPercentage(record) {
+        return Math.max(TIEBREAKER_FLOOR, getWinPercentage(record));
+    }
+
+    function averageOf(values) {
+        if (values.length === 0) return null;
+        var sum = 0;
+        for (var i = 0; i < values.length; i++) sum += values[i];
+        return sum / values.length;
+    }
+
+    /**
+     * Compute OMW%, GW% and OGW% from the per-round opponent records and game scores.
+     * Rounds without data are skipped; any value with no data is null.
+     * Byes are left out of OMW% and OGW%.
+     */
+    function computeTiebreakers(results, details) {
+        var opponentMWs = [];
+        var opponentGWs = [];
+        var games = { wins: 0, losses: 0, draws: 0 };
+        var byeGameWins = 0;
+
+        for (var i = 0; i < results.length; i++) {
+            if (results[i] === null) continue;
+
+            // A bye counts as a 2-0 win for GW%, but is excluded from opponent percentages
+            if (results[i] === 'B') {
+                byeGameWins += 2;
+                continue;
+            }
+            if (!details[i]) continue;
+
+            var opponent = parseRecord(details[i].opponent);
+            if (opponent) opponentMWs.push(getOpponentWinPercentage(opponent));
+
+            var opponentGames = parseRecord(details[i].opponentGames);
+            if (opponentGames) opponentGWs.push(getOpponentWinPercentage(opponentGames));
+
+            var gameScore = parseRecord(details[i].games);
+            if (gameScore) {
+                games.wins += gameScore.wins;
+                games.losses += gameScore.losses;
+                games.draws += gameScore.draws;
             }
         }
-        return records;
+
+        // GW% is only shown once real game scores have been entered
+        var gamesPlayed = games.wins + games.losses + games.draws;
+        games.wins += byeGameWins;
+        return {
+            omw: averageOf(opponentMWs),
+            omwRounds: opponentMWs.length,
+            gw: gamesPlayed > 0 ? getWinPercentage(games) : null,
+            ogw: averageOf(opponentGWs)
+        };
+    }
+
+    // =====================
+    // Play/Draw Solver
+    // =====================
+
+    /**
+     * Read the player's strategy inputs from the UI.
+     * The draw rate is capped so that win + draw never exceeds 100%.
+     */
+    function getStrategyOptions() {
+        var winRate = MtgCore.sanitizeInt(matchWinRateInput.value, 50, 0, 100) / 100;
+        var drawRate = Math.min(1 - winRate, MtgCore.sanitizeInt(matchDrawRateInput.value, 0, 0, 100) / 100);
+        return {
+            winRate: winRate,
+            drawRate: drawRate,
+            lossRate: 1 - winRate - drawRate,
+            idAcceptRate: MtgCore.sanitizeInt(idAcceptRateInput.value, 80, 0, 100) / 100
+        };
+    }
+
+    function factorial(n) {
+        var result = 1;
+        for (var i = 2; i <= n; i++) result *= i;
+        return result;
+    }
+
+    /**
+     * Probability of getting exactly this many extra wins, losses and draws
+     * in the remaining rounds (multinomial over the player's match rates)
+     */
+    function getRecordLikelihood(extraWins, extraLosses, extraDraws, options) {
+        if (extraWins < 0 || extraLosses < 0 || extraDraws < 0) return 0;
+        var n = extraWins + extraLosses + extraDraws;
+        return factorial(n) / (factorial(extraWins) * factorial(extraLosses) * factorial(extraDraws)) *
+            Math.pow(options.winRate, extraWins) *
+            Math.pow(options.lossRate, extraLosses) *
+            Math.pow(options.drawRate, extraDraws);
     }
 
-    // =====================
-    // OMW% Estimation
-    // =====================
-
     /**
-     * Estimate OMW% from round-by-round results.
-     * For each round, we estimate the opponent's final match-win %
-     * based on the player's cumulative record at that point (pairing bracket).
-     * Opponents faced at higher brackets tend to finish with higher win rates.
+     * Markov decision process over the remaining rounds. Each round the player
+     * either plays (win, draw or lose with the player's match rates) or offers an intentional draw,
+     * which the opponent accepts with idAcceptRate (otherwise the match is played).
+     * options.isEliminated(wins, losses, draws), when given, ends the event early (Day 2 cut).
+     * options.nextRound ({ winRate, drawRate, lossRate }), when given, replaces the match rates
+     * of the first round only (the matchup of the next opponent).
+     * options.pending ([{ wins, losses, draws, weight }]), when given, lists the possible results
+     * of rounds already played but not reported yet. They are added to every record, and each
+     * decision is the best one on average over them, since the player does not know them either.
+     * @param {Function} getFinalProb - (wins, losses, draws) => probability 0-1 for a final record
+     * @returns {{ probability: number, steps: Object[] }} best achievable probability and
+     *   every decision point reachable under the optimal policy, in round order
      */
-    function estimateOMW(results, totalRounds) {
-        if (!results || results.length === 0) return null;
+    function solvePlayOrDraw(wins, losses, draws, remaining, options, getFinalProb) {
+        var memo = {};
+        var pending = options.pending && options.pending.length > 0
+            ? options.pending
+            : [{ wins: 0, losses: 0, draws: 0, weight: 1 }];
+
+        function getRoundRates(left) {
+            return left === remaining && options.nextRound ? options.nextRound : options;
+        }
 
-        var filledResults = results.filter(function (r) { return r !== null; });
-        if (filledResults.length === 0) return null;
+        function weigh(values) {
+            var sum = 0;
+            for (var k = 0; k < pending.length; k++) sum += pending[k].weight * values[k];
+            return sum;
+        }
 
-        var cumWins = 0;
-        var cumLosses = 0;
-        var opponentMWs = [];
+        // Values of a node, one per possible pending result
+        function solve(w, l, d, left) {
+            var key = w + '-' + l + '-' + d;
+            if (memo[key]) return memo[key];
 
-        for (var i = 0; i < results.length; i++) {
-            if (results[i] === null) continue;
+            var eliminated = pending.map(function (p) {
+                return Boolean(options.isEliminated && options.isEliminated(w + p.wins, l + p.losses, d + p.draws));
+            });
 
-            // Estimate opponent's final match-win % based on pairing bracket
-            // At record (cumWins - cumLosses), paired against similar record
-            var bracketStrength = 0.5 + (cumWins - cumLosses) / (2 * totalRounds);
-
-            var opponentMW;
-            if (results[i] === 'W') {
-                // We won: opponent lost this match, slight penalty to their final record
-                opponentMW = bracketStrength - 0.04;
-                cumWins++;
-            } else if (results[i] === 'L') {
-                // We lost: opponent won this match, slight bonus to their final record
-                opponentMW = bracketStrength + 0.04;
-                cumLosses++;
+            var node;
+            if (eliminated.indexOf(false) === -1) {
+                node = { value: 0, values: pending.map(function () { return 0; }) };
+            } else if (left === 0) {
+                var finalValues = pending.map(function (p, k) {
+                    return eliminated[k] ? 0 : getFinalProb(w + p.wins, l + p.losses, d + p.draws);
+                });
+                node = { value: weigh(finalValues), values: finalValues };
             } else {
-                // Draw: neutral
-                opponentMW = bracketStrength;
+                var rates = getRoundRates(left);
+                var win = solve(w + 1, l, d, left - 1);
+                var draw = solve(w, l, d + 1, left - 1);
+                var loss = solve(w, l + 1, d, left - 1);
+                var playValues = pending.map(function (p, k) {
+                    if (eliminated[k]) return 0;
+                    return rates.winRate * win.values[k] + rates.drawRate * draw.values[k] + rates.lossRate * loss.values[k];
+                });
+                var idValues = pending.map(function (p, k) {
+                    if (eliminated[k]) return 0;
+                    return options.idAcceptRate * draw.values[k] + (1 - options.idAcceptRate) * playValues[k];
+                });
+                var play = weigh(playValues);
+                var id = weigh(idValues);
+                node = {
+                    play: play,
+                    id: id,
+                    action: id > play ? 'ID' : 'Play',
+                    value: Math.max(play, id),
+                    values: id > play ? idValues : playValues
+                };
             }
-
-            // OMW% minimum floor is 33% per WotC rules
-            opponentMWs.push(Math.max(0.33, Math.min(1, opponentMW)));
-        }
-
-        var sum = 0;
-        for (var j = 0; j < opponentMWs.length; j++) {
-            sum += opponentMWs[j];
+            memo[key] = node;
+            return node;
         }
-        return sum / opponentMWs.length;
-    }
-
-    /**
-     * Estimate the probability of making a prize position for a given final record.
-     * Optional omwEstimate adjusts probability at the tiebreaker threshold.
-     */
-    function estimatePrizePositionProbability(wins, losses, draws, totalRounds, numPlayers, prizePosition, omwEstimate) {
-        var points = getMatchPoints(wins, draws);
 
-        if (numPlayers <= prizePosition) return 100;
-
-        var thresholdPoints = getThresholdPoints(numPlayers, prizePosition, totalRounds);
-        var diff = points - thresholdPoints;
-
-        // Base probabilities
-        var baseProb;
-        if (diff >= 6) baseProb = 100;
-        else if (diff >= 3) baseProb = 98;
-        else if (diff >= 1) baseProb = 92;
-        else if (diff === 0) baseProb = 75;
-        else if (diff === -1) baseProb = 50;
-        else if (diff === -2) baseProb = 25;
-        else if (diff === -3) baseProb = 10;
-        else if (diff === -4) baseProb = 3;
-        else if (diff === -5) baseProb = 1;
-        else baseProb = 0;
-
-        // Apply OMW% adjustment in the tiebreaker-sensitive zone
-        if (omwEstimate !== undefined && omwEstimate !== null && diff >= -2 && diff <= 0) {
-            var adjustment = 0;
-            if (omwEstimate > 0.55) {
-                // Good tiebreakers: boost probability
-                if (diff === 0) adjustment = 10;
-                else if (diff === -1) adjustment = 10;
-                else adjustment = 5;
-            } else if (omwEstimate < 0.40) {
-                // Poor tiebreakers: reduce probability
-                if (diff === 0) adjustment = -15;
-                else if (diff === -1) adjustment = -10;
-                else adjustment = -8;
-            } else if (omwEstimate > 0.50) {
-                // Slightly above average
-                if (diff === 0) adjustment = 5;
-                else if (diff === -1) adjustment = 4;
-                else adjustment = 2;
-            } else if (omwEstimate < 0.45) {
-                // Slightly below average
-                if (diff === 0) adjustment = -8;
-                else if (diff === -1) adjustment = -5;
-                else adjustment = -3;
+        var root = solve(wins, losses, draws, remaining);
+
+        // Walk forward under the optimal policy to find how likely each decision point is
+        var steps = [];
+        var frontier = {};
+        frontier[wins + '-' + losses + '-' + draws] = { wins: wins, losses: losses, draws: draws, reach: 1 };
+
+        for (var r = 0; r < remaining; r++) {
+            var next = {};
+            var keys = Object.keys(frontier);
+            for (var k = 0; k < keys.length; k++) {
+                var state = frontier[keys[k]];
+                var node = solve(state.wins, state.losses, state.draws, remaining - r);
+                if (!node.action) continue; // eliminated at the Day 2 cut
+                steps.push({
+                    round: r,
+                    wins: state.wins,
+                    losses: state.losses,
+                    draws: state.draws,
+                    reach: state.reach,
+                    play: node.play,
+                    id: node.id,
+                    action: node.action
+                });
+
+                var playShare = node.action === 'ID' ? (1 - options.idAcceptRate) : 1;
+                var roundRates = getRoundRates(remaining - r);
+                addReach(next, state.wins + 1, state.losses, state.draws, state.reach * playShare * roundRates.winRate);
+                addReach(next, state.wins, state.losses + 1, state.draws, state.reach * playShare * roundRates.lossRate);
+                addReach(next, state.wins, state.losses, state.draws + 1,
+                    state.reach * (playShare * roundRates.drawRate + (node.action === 'ID' ? options.idAcceptRate : 0)));
             }
-            baseProb = Math.max(0, Math.min(100, baseProb + adjustment));
+            frontier = next;
         }
 
-        return baseProb;
-    }
-
-    function getProbClass(prob) {
-        if (prob >= 85) return 'prob-high';
-        if (prob >= 60) return 'prob-likely';
-        if (prob >= 30) return 'prob-medium';
-        if (prob >= 5) return 'prob-low';
-        return 'prob-none';
+        return { probability: root.value, action: root.action, play: root.play, id: root.id, steps: steps };
     }
 
-    function getStatusInfo(prob) {
-        if (prob >= 90) return { text: 'Locked In', class: 'status-safe' };
-        if (prob >= 60) return { text: 'Likely', class: 'status-likely' };
-        if (prob >= 25) return { text: 'Possible', class: 'status-possible' };
-        if (prob >= 3) return { text: 'Unlikely', class: 'status-unlikely' };
-        return { text: 'Out', class: 'status-out' };
+    function addReach(states, w, l, d, reach) {
+        if (reach <= 0) return;
+        var key = w + '-' + l + '-' + d;
+        if (!states[key]) states[key] = { wins: w, losses: l, draws: d, reach: 0 };
+        states[key].reach += reach;
     }
 
-    function getVerdict(prob, prizePosition) {
-        var prizeLabel = 'Top ' + prizePosition;
-        if (prob >= 90) return { text: 'You are almost certainly making ' + prizeLabel + '!', class: 'verdict-safe' };
-        if (prob >= 60) return { text: 'Good chances! Keep it up to lock in ' + prizeLabel + '.', class: 'verdict-likely' };
-        if (prob >= 25) return { text: 'You have a shot, but tiebreakers will matter.', class: 'verdict-possible' };
-        if (prob >= 3) return { text: 'It will be tough, but not impossible.', class: 'verdict-unlikely' };
-        return { text: 'Unfortunately, with this record the chances are very low.', class: 'verdict-eliminated' };
-    }
-
-    // =====================
-    // Scenario Generator
-    // Generate all possible outcomes for remaining rounds
-    // =====================
-
     /**
-     * Generate all combinations of W/L/D for a given number of remaining rounds
+     * Chance (0-100) of making a prize position with a final record in this field,
+     * from its standings model and threshold (imported standings included).
+     * Optional omwEstimate adjusts probability at the tiebreaker threshold.
      */
-    function generateRemainingScenarios(remaining) {
-        var scenarios = [];
-        for (var w = remaining; w >= 0; w--) {
-            for (var d = remaining - w; d >= 0; d--) {
-                var l = remaining - w - d;
-                scenarios.push({ extraWins: w, extraLosses: l, extraDraws: d });
-            }
-        }
-        return scenarios;
+    function estimatePrizePositionProbability(wins, losses, draws, totalRounds, numPlayers, prizePosition, omwEstimate) {
+        if (numPlayers <= prizePosition) return 100;
+        return MtgCore.estimatePrizePositionProbability(getStandingsModel(numPlayers, totalRounds), MtgCore.getMatchPoints(wins, draws),
+            numPlayers, prizePosition, getThresholdPoints(numPlayers, prizePosition, totalRounds), omwEstimate);
     }
 
     // =====================
@@ -532,7 +1757,8 @@
         var players = parseInt(playersInput.value) || 0;
         if (players >= 2) {
             var rounds = getRounds(players);
-            roundsDisplay.textContent = rounds + ' round' + (rounds !== 1 ? 's' : '');
+            roundsDisplay.textContent = rounds + ' round' + (rounds !== 1 ? 's' : '') +
+                ' \u00b7 Top ' + (parseInt(prizePositionInput.value) || 8) + ' (' + getStructure().label + ')';
             roundsDisplay.style.display = 'inline-block';
         } else {
             roundsDisplay.style.display = 'none';
@@ -599,20 +1825,46 @@
         drawAdviceEl.classList.add('hidden');
     }
 
+    /**
+     * The round after the last logged one, or -1 when the last round is logged
+     */
+    function getNextRoundIndex() {
+        for (var i = roundResults.length - 1; i >= 0; i--) {
+            if (roundResults[i] !== null) return i + 1 < roundResults.length ? i + 1 : -1;
+        }
+        return roundResults.length > 0 ? 0 : -1;
+    }
+
+    /**
+     * Rounds without a result while a later round is logged (not reported yet)
+     */
+    function getPendingRounds() {
+        var next = getNextRoundIndex();
+        var end = next === -1 ? roundResults.length : next;
+        var pending = [];
+        for (var i = 0; i < end; i++) {
+            if (roundResults[i] === null) pending.push(i);
+        }
+        return pending;
+    }
+
     function getRecordFromTracker() {
-        var w = 0, l = 0, d = 0;
+        var w = 0, l = 0, d = 0, b = 0;
         for (var i = 0; i < roundResults.length; i++) {
             if (roundResults[i] === 'W') w++;
             else if (roundResults[i] === 'L') l++;
             else if (roundResults[i] === 'D') d++;
+            else if (roundResults[i] === 'B') b++;
         }
-        return { wins: w, losses: l, draws: d };
+        // A bye is a match win worth 3 points
+        return { wins: w + b, losses: l, draws: d, byes: b };
     }
 
     function updateRecordDisplay() {
-        var w, l, d;
+        var w, l, d, byes = 0;
         if (inProgressToggle.checked) {
             var rec = getRecordFromTracker();
+            byes = rec.byes;
             w = rec.wins;
             l = rec.losses;
             d = rec.draws;
@@ -625,13 +1877,16 @@
             l = parseInt(lossesInput.value) || 0;
             d = parseInt(drawsInput.value) || 0;
         }
-        var pts = getMatchPoints(w, d);
+        var pts = MtgCore.getMatchPoints(w, d);
         var played = w + l + d;
-        recordDisplay.textContent = w + '-' + l + '-' + d;
+        recordDisplay.textContent = MtgCore.formatRecord(w, l, d);
         pointsDisplay.textContent = '(' + pts + ' points)';
 
         if (inProgressToggle.checked) {
-            roundsPlayedDisplay.textContent = '| Round ' + played + ' played';
+            var pending = getPendingRounds();
+            roundsPlayedDisplay.textContent = '| Round ' + played + ' played' +
+                (byes > 0 ? ' (incl. ' + byes + ' bye' + (byes !== 1 ? 's' : '') + ')' : '') +
+                (pending.length > 0 ? ' \u00b7 ' + pending.map(function (i) { return 'R' + (i + 1); }).join(', ') + ' pending' : '');
             roundsPlayedDisplay.classList.remove('hidden');
         } else {
             roundsPlayedDisplay.classList.add('hidden');
@@ -642,6 +1897,306 @@
         saveTournamentData();
     }
 
+    // =====================
+    // Prize Payouts
+    // =====================
+
+    /**
+     * Build the editable list of payout tiers
+     */
+    function buildPayoutEditor() {
+        var fields = [
+            { key: 'from', label: 'From' },
+            { key: 'to', label: 'To' },
+            { key: 'cash', label: 'Cash' },
+            { key: 'packs', label: 'Packs' },
+            { key: 'qp', label: 'QP' }
+        ];
+
+        payoutTiersContainer.innerHTML = '';
+
+        payoutTiers.forEach(function (tier, index) {
+            var row = document.createElement('div');
+            row.className = 'payout-row';
+
+            fields.forEach(function (field) {
+                var input = document.createElement('input');
+                input.type = 'number';
+                input.min = '0';
+                input.className = 'round-detail-input';
+                input.placeholder = field.label;
+                input.title = field.label;
+                input.setAttribute('aria-label', 'Tier ' + (index + 1) + ' ' + field.label);
+                input.setAttribute('inputmode', 'numeric');
+                input.value = tier[field.key];
+                input.addEventListener('change', function () {
+                    tier[field.key] = input.value;
+                    payoutTiers = sanitizePayoutTiers(payoutTiers);
+                    buildPayoutEditor();
+                    saveTournamentData();
+                    scheduleRecalculate();
+                });
+                row.appendChild(input);
+            });
+
+            var removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'round-btn-clear';
+            removeBtn.textContent = 'remove';
+            removeBtn.addEventListener('click', function () {
+                payoutTiers.splice(index, 1);
+                buildPayoutEditor();
+                saveTournamentData();
+                scheduleRecalculate();
+            });
+            row.appendChild(removeBtn);
+
+            payoutTiersContainer.appendChild(row);
+        });
+    }
+
+    function addPayoutTier() {
+        var last = payoutTiers[payoutTiers.length - 1];
+        var from = last ? last.to + 1 : 1;
+        var size = last ? (last.to - last.from + 1) * 2 : 8;
+        payoutTiers.push({ from: from, to: from + size - 1, cash: 0, packs: 0, qp: 0 });
+        buildPayoutEditor();
+        saveTournamentData();
+        scheduleRecalculate();
+    }
+
+    /**
+     * Expected prize for a final point total: cash (packs converted at the pack value)
+     * and qualification points, weighted by the chance of finishing in each tier
+     */
+    function getExpectedPrize(points, numPlayers, totalRounds) {
+        var model = getStandingsModel(numPlayers, totalRounds);
+        var packValue = MtgCore.sanitizeInt(packValueInput.value, 4, 0, 1000);
+        var prize = { value: 0, qp: 0 };
+
+        payoutTiers.forEach(function (tier) {
+            var prob = SwissModel.getRankRangeProbability(model, points, tier.from, tier.to);
+            prize.value += prob * (tier.cash + tier.packs * packValue);
+            prize.qp += prob * tier.qp;
+        });
+
+        return prize;
+    }
+
+    function formatPrize(prize) {
+        if (payoutTiers.length === 0) return '\u2014';
+        var text = '$' + prize.value.toFixed(prize.value < 10 ? 2 : 0);
+        if (prize.qp > 0) text += ' + ' + prize.qp.toFixed(1) + ' QP';
+        return text;
+    }
+
+    // =====================
+    // Undo / Redo
+    // =====================
+
+    var MAX_UNDO_STEPS = 50;
+    var MAX_LOG_ENTRIES = 200;
+    var RESULT_NAMES = { W: 'win', L: 'loss', D: 'draw', B: 'bye' };
+
+    // Per tournament: undo / redo stacks of { state, text } and the change log of { at, text }.
+    // A step that also replaced the settings (a shared situation) keeps them as `settings`.
+    var editHistory = { undo: [], redo: [], log: [] };
+    var committedState = null; // round tracker, record and byes as of the last logged change
+
+    function getRecordState() {
+        return {
+            roundResults: roundResults.slice(),
+            roundDetails: roundDetails.map(function (detail) {
+                var copy = getEmptyRoundDetail();
+                Object.keys(copy).forEach(function (key) { copy[key] = detail[key]; });
+                return copy;
+            }),
+            wins: MtgCore.sanitizeInt(winsInput.value, 0, 0, 1000),
+            losses: MtgCore.sanitizeInt(lossesInput.value, 0, 0, 1000),
+            draws: MtgCore.sanitizeInt(drawsInput.value, 0, 0, 1000),
+            byes: appliedByes
+        };
+    }
+
+    function sanitizeRecordState(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        return {
+            roundResults: sanitizeRoundResults(raw.roundResults),
+            roundDetails: sanitizeRoundDetails(raw.roundDetails),
+            wins: MtgCore.sanitizeInt(raw.wins, 0, 0, 1000),
+            losses: MtgCore.sanitizeInt(raw.losses, 0, 0, 1000),
+            draws: MtgCore.sanitizeInt(raw.draws, 0, 0, 1000),
+            // Steps saved before byes were part of the state leave them as they are
+            byes: raw.byes === undefined ? null : MtgCore.sanitizeInt(raw.byes, 0, 0, 3)
+        };
+    }
+
+    function sanitizeEditHistory(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+
+        function steps(list) {
+            return (Array.isArray(list) ? list : []).slice(-MAX_UNDO_STEPS).map(function (step) {
+                var state = step && sanitizeRecordState(step.state);
+                if (!state) return null;
+                var sanitized = { state: state, text: sanitizeText(step.text, 120) };
+                var settings = normalizeTournamentData(step.settings);
+                if (settings) sanitized.settings = settings;
+                return sanitized;
+            }).filter(Boolean);
+        }
+
+        return {
+            undo: steps(raw.undo),
+            redo: steps(raw.redo),
+            log: (Array.isArray(raw.log) ? raw.log : []).slice(-MAX_LOG_ENTRIES).filter(function (entry) {
+                return entry && typeof entry.at === 'string' && typeof entry.text === 'string';
+            }).map(function (entry) {
+                return { at: entry.at.slice(0, 30), text: entry.text.slice(0, 120) };
+            })
+        };
+    }
+
+    function loadEditHistory(active) {
+        editHistory = active.history || { undo: [], redo: [], log: [] };
+        active.history = editHistory;
+        committedState = getRecordState();
+        renderEditHistory();
+    }
+
+    function addLogEntry(text) {
+        editHistory.log.push({ at: new Date().toISOString(), text: text });
+        if (editHistory.log.length > MAX_LOG_ENTRIES) editHistory.log.shift();
+    }
+
+    /**
+     * Log the change just made to the round tracker, record or byes, so it can be undone
+     * @param {string} text
+     * @param {Object} [settings] - the tournament data before a change that replaced all of it
+     */
+    function commitEdit(text, settings) {
+        var state = getRecordState();
+        if (!committedState || (!settings && JSON.stringify(state) === JSON.stringify(committedState))) {
+            committedState = state;
+            return;
+        }
+        var step = { state: committedState, text: text };
+        if (settings) step.settings = settings;
+        editHistory.undo.push(step);
+        if (editHistory.undo.length > MAX_UNDO_STEPS) editHistory.undo.shift();
+        editHistory.redo = [];
+        committedState = state;
+        addLogEntry(text);
+        saveTournamentRecord(getActiveTournament());
+        renderEditHistory();
+    }
+
+    function applyRecordState(state) {
+        roundResults = state.roundResults.slice();
+        roundDetails = sanitizeRoundDetails(state.roundDetails);
+        winsInput.value = state.wins;
+        lossesInput.value = state.losses;
+        drawsInput.value = state.draws;
+        if (state.byes !== null) {
+            byesInput.value = state.byes;
+            appliedByes = state.byes;
+        }
+        committedState = getRecordState();
+        buildRoundTracker();
+        updateRecordDisplay();
+        scheduleRecalculate();
+    }
+
+    /**
+     * The step that takes an undone or redone step back: the current state,
+     * and the current settings when the step replaced them
+     */
+    function getReverseStep(step) {
+        var reverse = { state: committedState, text: step.text };
+        if (step.settings) reverse.settings = normalizeTournamentData(getTournamentData());
+        return reverse;
+    }
+
+    function applyEditStep(step) {
+        if (step.settings) {
+            applyTournamentData(step.settings);
+            updateRoundsDisplay();
+            onToggleChange();
+        }
+        applyRecordState(step.state);
+    }
+
+    function undoEdit() {
+        var step = editHistory.undo.pop();
+        if (!step) return;
+        editHistory.redo.push(getReverseStep(step));
+        addLogEntry('Undo: ' + step.text);
+        applyEditStep(step);
+        renderEditHistory();
+        MtgUi.showToast('Undone: ' + step.text);
+    }
+
+    function redoEdit() {
+        var step = editHistory.redo.pop();
+        if (!step) return;
+        editHistory.undo.push(getReverseStep(step));
+        addLogEntry('Redo: ' + step.text);
+        applyEditStep(step);
+        renderEditHistory();
+        MtgUi.showToast('Redone: ' + step.text);
+    }
+
+    /**
+     * Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y), except while typing in a field
+     */
+    function onUndoShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        var tag = e.target && e.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+
+        var key = String(e.key).toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undoEdit();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redoEdit();
+        }
+    }
+
+    function renderEditHistory() {
+        var nextUndo = editHistory.undo[editHistory.undo.length - 1];
+        var nextRedo = editHistory.redo[editHistory.redo.length - 1];
+        undoBtn.disabled = !nextUndo;
+        redoBtn.disabled = !nextRedo;
+        undoBtn.title = nextUndo ? 'Undo ' + nextUndo.text : 'Nothing to undo';
+        redoBtn.title = nextRedo ? 'Redo ' + nextRedo.text : 'Nothing to redo';
+
+        editLogList.innerHTML = '';
+        if (editHistory.log.length === 0) {
+            var empty = document.createElement('li');
+            empty.textContent = 'No changes logged yet';
+            editLogList.appendChild(empty);
+            return;
+        }
+        for (var i = editHistory.log.length - 1; i >= 0; i--) {
+            var entry = editHistory.log[i];
+            var li = document.createElement('li');
+            var time = document.createElement('span');
+            time.className = 'edit-log-time';
+            time.textContent = formatLogTime(entry.at);
+            li.appendChild(time);
+            li.appendChild(document.createTextNode(entry.text));
+            editLogList.appendChild(li);
+        }
+    }
+
+    function formatLogTime(iso) {
+        var date = new Date(iso);
+        if (isNaN(date.getTime())) return '';
+        var time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return date.toDateString() === new Date().toDateString() ? time : date.toLocaleDateString() + ' ' + time;
+    }
+
     // =====================
     // Round Tracker
     // =====================
@@ -654,6 +2209,21 @@
         // Resize roundResults array
         while (roundResults.length < totalRounds) roundResults.push(null);
         while (roundResults.length > totalRounds) roundResults.pop();
+        roundDetails = sanitizeRoundDetails(roundDetails.slice(0, totalRounds));
+        while (roundDetails.length < totalRounds) roundDetails.push(getEmptyRoundDetail());
+
+        // Pre-awarded byes always fill the first rounds
+        var byes = Math.min(getPreawardedByes(), totalRounds);
+        for (var i = 0; i < byes; i++) roundResults[i] = 'B';
+
+        var dayCut = getDayCut(totalRounds);
+        var day1Progress = getTrackerDay1Progress(dayCut);
+        var missedCut = dayCut !== null && day1Progress.open === 0 && day1Progress.points < dayCut.minPoints;
+
+        var nextRound = getNextRoundIndex();
+        if (dayCut && missedCut && nextRound >= dayCut.afterRound) nextRound = -1;
+        var pendingRounds = getPendingRounds();
+        renderMatchupNames();
 
         roundTrackerGrid.innerHTML = '';
 
@@ -662,25 +2232,37 @@
             row.className = 'round-row';
             if (roundResults[r] !== null) row.classList.add('round-filled');
 
-            // Check if this round should be enabled (sequential: only if previous are filled)
-            var enabled = (r === 0 || roundResults[r - 1] !== null || roundResults[r] !== null);
-            if (!enabled) row.classList.add('round-disabled');
+            // Any round can be set or corrected; an empty round before a logged one is pending
+            var isPending = pendingRounds.indexOf(r) !== -1;
+            if (isPending) row.classList.add('round-pending');
+
+            var isPreawarded = r < byes;
+            if (isPreawarded) row.classList.add('round-locked');
+
+            // Day 2 rounds stay locked for players who missed the cut
+            if (dayCut && r >= dayCut.afterRound) {
+                if (r === dayCut.afterRound) row.classList.add('round-day-start');
+                if (missedCut) row.classList.add('round-disabled');
+            }
 
             var label = document.createElement('span');
             label.className = 'round-number';
-            label.textContent = 'R' + (r + 1);
+            label.textContent = (dayCut ? 'D' + (r < dayCut.afterRound ? '1' : '2') + ' \u00b7 ' : '') +
+                'R' + (r + 1) + (isPreawarded ? ' \u00b7 bye' : (isPending ? ' \u00b7 pending' : ''));
 
             var buttons = document.createElement('div');
             buttons.className = 'round-buttons';
 
-            var results = ['W', 'L', 'D'];
-            var classes = ['selected-win', 'selected-loss', 'selected-draw'];
+            var results = ['W', 'L', 'D', 'B'];
+            var classes = ['selected-win', 'selected-loss', 'selected-draw', 'selected-bye'];
 
             for (var b = 0; b < results.length; b++) {
                 var btn = document.createElement('button');
                 btn.type = 'button';
                 btn.className = 'round-btn';
                 btn.textContent = results[b];
+                btn.title = results[b] === 'B' ? 'Bye (counts as a win)' : '';
+                btn.disabled = isPreawarded;
                 btn.setAttribute('data-round', r);
                 btn.setAttribute('data-result', results[b]);
                 if (roundResults[r] === results[b]) {
@@ -700,29 +2282,170 @@
 
             row.appendChild(label);
             row.appendChild(buttons);
-            if (roundResults[r] !== null) row.appendChild(clearBtn);
+            if (roundResults[r] !== null && !isPreawarded) row.appendChild(clearBtn);
+            if (roundResults[r] !== null && roundResults[r] !== 'B') {
+                row.appendChild(buildRoundTags(r));
+                row.appendChild(buildRoundDetails(r));
+            } else if (r === nextRound) {
+                row.appendChild(buildRoundTags(r));
+            }
 
             roundTrackerGrid.appendChild(row);
         }
     }
 
+    /**
+     * Optional tiebreaker inputs for a played round
+     */
+    function buildRoundDetails(round) {
+        var fields = [
+            { key: 'opponent', label: 'Opp. record', placeholder: 'e.g. 4-2-0' },
+            { key: 'games', label: 'Games', placeholder: 'e.g. 2-1' },
+            { key: 'opponentGames', label: 'Opp. games', placeholder: 'e.g. 9-5' }
+        ];
+
+        var container = document.createElement('div');
+        container.className = 'round-details';
+
+        fields.forEach(function (field) {
+            var input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'round-detail-input';
+            input.placeholder = field.placeholder;
+            input.title = field.label;
+            input.setAttribute('aria-label', 'R' + (round + 1) + ' ' + field.label);
+            input.setAttribute('inputmode', 'numeric');
+            input.setAttribute('autocomplete', 'off');
+            input.value = roundDetails[round][field.key];
+            input.addEventListener('change', function () {
+                roundDetails[round][field.key] = input.value.trim().slice(0, 12);
+                input.classList.toggle('round-detail-invalid', input.value.trim() !== '' && !parseRecord(input.value));
+                saveTournamentData();
+                commitEdit('R' + (round + 1) + ' ' + field.label.toLowerCase() + ': ' + (roundDetails[round][field.key] || '\u2014'));
+                scheduleRecalculate();
+            });
+            container.appendChild(input);
+        });
+
+        return container;
+    }
+
+    /**
+     * Optional opponent name, deck and opponent archetype of a round. The name
+     * is the pairing history for the next-round prediction; deck and archetype
+     * feed the matchup matrix, and tagging the round about to be played uses
+     * its matchup in the solver.
+     */
+    function buildRoundTags(round) {
+        var fields = [
+            { key: 'opponentName', label: 'Opp. name', list: 'opponent-names', placeholder: 'Opp. name' },
+            { key: 'deck', label: 'Your deck', list: 'deck-names', placeholder: getActiveTournament().deck || 'Your deck' },
+            { key: 'archetype', label: 'Opp. archetype', list: 'archetype-names', placeholder: 'Opp. archetype' }
+        ];
+
+        var container = document.createElement('div');
+        container.className = 'round-tags';
+
+        fields.forEach(function (field) {
+            var input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'round-detail-input';
+            input.placeholder = field.placeholder;
+            input.title = field.label;
+            input.setAttribute('aria-label', 'R' + (round + 1) + ' ' + field.label);
+            input.setAttribute('list', field.list);
+            input.setAttribute('autocomplete', 'off');
+            input.value = roundDetails[round][field.key];
+            input.addEventListener('change', function () {
+                roundDetails[round][field.key] = Matchups.normalizeName(input.value);
+                input.value = roundDetails[round][field.key];
+                saveTournamentData();
+                commitEdit('R' + (round + 1) + ' ' + field.label.toLowerCase() + ': ' + (roundDetails[round][field.key] || '\u2014'));
+                renderMatchupNames();
+                if (field.key === 'opponentName' && liveStandings) renderLiveStandings();
+                scheduleRecalculate();
+            });
+            container.appendChild(input);
+        });
+
+        return container;
+    }
+
+    /**
+     * Autocomplete the deck and archetype inputs with the names used so far
+     */
+    function renderMatchupNames() {
+        var names = Matchups.getUsedNames(tournamentStore.tournaments);
+        [[deckNamesList, names.decks], [archetypeNamesList, names.archetypes]].forEach(function (pair) {
+            pair[0].innerHTML = '';
+            pair[1].forEach(function (name) {
+                var option = document.createElement('option');
+                option.value = name;
+                pair[0].appendChild(option);
+            });
+        });
+    }
+
+    /**
+     * Match rates of the next round from the matchup matrix, when that round
+     * is tagged with an archetype the player's deck has faced often enough.
+     */
+    function getNextRoundMatchup() {
+        var next = getNextRoundIndex();
+        if (next === -1 || !roundDetails[next] || !roundDetails[next].archetype) return null;
+        var deck = roundDetails[next].deck || getActiveTournament().deck;
+        var rates = Matchups.getMatchupRates(Matchups.buildMatchupMatrix(tournamentStore.tournaments), deck, roundDetails[next].archetype);
+        return rates ? { deck: Matchups.normalizeName(deck), archetype: roundDetails[next].archetype, rates: rates } : null;
+    }
+
+    function getPreawardedByes() {
+        return MtgCore.sanitizeInt(byesInput.value, 0, 0, 3);
+    }
+
+    /**
+     * Apply a new number of pre-awarded byes, freeing rounds that no longer have one.
+     * Results already logged in the rounds that become byes are only replaced on confirmation.
+     */
+    function onByesChange() {
+        var byes = getPreawardedByes();
+        var overwritten = [];
+        for (var r = appliedByes; r < byes && r < roundResults.length; r++) {
+            if (roundResults[r] !== null && roundResults[r] !== 'B') overwritten.push('R' + (r + 1));
+        }
+        if (overwritten.length > 0 &&
+            !confirm('Replace the results already logged for ' + overwritten.join(', ') + ' with a bye?')) {
+            byesInput.value = appliedByes;
+            return;
+        }
+        for (var i = byes; i < appliedByes && i < roundResults.length; i++) {
+            if (roundResults[i] === 'B') roundResults[i] = null;
+        }
+        appliedByes = byes;
+        buildRoundTracker();
+        updateRecordDisplay();
+        commitEdit('Pre-awarded byes: ' + byes);
+        scheduleRecalculate();
+    }
+
     function onRoundBtnClick(e) {
         var round = parseInt(e.target.getAttribute('data-round'));
         var result = e.target.getAttribute('data-result');
+        var previous = roundResults[round];
         roundResults[round] = result;
         buildRoundTracker();
         updateRecordDisplay();
+        commitEdit('R' + (round + 1) + ': ' + (previous ? RESULT_NAMES[previous] + ' \u2192 ' : '') + RESULT_NAMES[result]);
         scheduleRecalculate();
     }
 
     function onRoundClear(e) {
         var round = parseInt(e.target.getAttribute('data-round'));
-        // Clear this round and all subsequent rounds
-        for (var i = round; i < roundResults.length; i++) {
-            roundResults[i] = null;
-        }
+        // Only this round: later rounds stay logged and this one becomes pending
+        roundResults[round] = null;
+        roundDetails[round] = getEmptyRoundDetail();
         buildRoundTracker();
         updateRecordDisplay();
+        commitEdit('Cleared R' + (round + 1));
         scheduleRecalculate();
     }
 
@@ -730,38 +2453,143 @@
         if (inProgressToggle.checked) {
             recordInputs.classList.add('hidden');
             roundTracker.classList.remove('hidden');
+            idAcceptGroup.classList.remove('hidden');
             document.getElementById('quick-actions').classList.remove('hidden');
             buildRoundTracker();
         } else {
             recordInputs.classList.remove('hidden');
             roundTracker.classList.add('hidden');
+            idAcceptGroup.classList.add('hidden');
             document.getElementById('quick-actions').classList.add('hidden');
         }
         updateRecordDisplay();
     }
 
     /**
-     * Build a probability bar cell HTML string
+     * Show the solver's recommendation for the next round and the full decision tree
+     */
+    function renderStrategyPlan(plan, roundsPlayed, prizePosition) {
+        var bestProb = Math.round(plan.probability * 100);
+        var playProb = Math.round(plan.play * 100);
+        var idProb = Math.round(plan.id * 100);
+        var nextRound = roundsPlayed + 1;
+
+        if (playProb === idProb) {
+            strategyVerdict.textContent = 'Round ' + nextRound + ': playing and drawing give the same ' + bestProb +
+                '% chance of Top ' + prizePosition + '.';
+            strategyVerdict.className = 'strategy-verdict ' + (bestProb >= 90 ? 'strategy-draw' : (bestProb < 25 ? 'strategy-must-win' : 'strategy-mixed'));
+        } else if (plan.action === 'ID') {
+            strategyVerdict.textContent = 'Round ' + nextRound + ': offer the intentional draw. With the best choices afterwards you make Top ' +
+                prizePosition + ' ' + idProb + '% of the time (playing: ' + playProb + '%).';
+            strategyVerdict.className = 'strategy-verdict strategy-draw';
+        } else {
+            strategyVerdict.textContent = 'Round ' + nextRound + ': play it out. With the best choices afterwards you make Top ' +
+                prizePosition + ' ' + playProb + '% of the time (ID: ' + idProb + '%).';
+            strategyVerdict.className = 'strategy-verdict ' + (bestProb < 25 ? 'strategy-must-win' : 'strategy-play');
+        }
+
+        strategyPlanBody.innerHTML = '';
+        plan.steps.forEach(function (step) {
+            if (step.reach < 0.01) return;
+
+            var tr = document.createElement('tr');
+            if (step.round === 0) tr.classList.add('current-row');
+            var actionClass = step.action === 'ID' ? 'status-likely' : 'status-possible';
+
+            tr.innerHTML =
+                '<td class="record-cell">R' + (roundsPlayed + step.round + 1) + '</td>' +
+                '<td class="record-cell">' + MtgCore.formatRecord(step.wins, step.losses, step.draws) + '</td>' +
+                '<td class="points-cell">' + Math.round(step.reach * 100) + '%</td>' +
+                '<td class="points-cell">' + Math.round(step.play * 100) + '%</td>' +
+                '<td class="points-cell">' + Math.round(step.id * 100) + '%</td>' +
+                '<td><span class="status-badge ' + actionClass + '">' + step.action + '</span></td>';
+
+            strategyPlanBody.appendChild(tr);
+        });
+    }
+
+    /**
+     * Format the chance of getting a record; unreachable records show a dash
      */
-    function buildProbBarHTML(prob) {
-        var probClass = getProbClass(prob);
-        return '<div class="prob-bar-container">' +
-            '<div class="prob-bar-bg">' +
-            '<div class="prob-bar-fill ' + probClass + '" style="width: 0%"></div>' +
-            '</div>' +
-            '<span class="prob-value ' + probClass + '">' + prob + '%</span>' +
-            '</div>';
+    function formatLikelihood(likelihood) {
+        if (likelihood <= 0) return '\u2014';
+        var pct = likelihood * 100;
+        if (pct < 1) return '<1%';
+        return Math.round(pct) + '%';
     }
 
     /**
-     * Animate all probability bars in a given tbody
+     * Build the "players expected at each point total" histogram
      */
-    function animateBars(tbody) {
-        var bars = tbody.querySelectorAll('.prob-bar-fill');
-        requestAnimationFrame(function () {
-            bars.forEach(function (bar) {
-                bar.style.width = bar.parentElement.nextElementSibling.textContent;
-            });
+    function buildPointHistogram(numPlayers, totalRounds, prizePosition, currentPoints) {
+        var histogram = SwissModel.getExpectedHistogram(getStandingsModel(numPlayers, totalRounds));
+        var threshold = getThresholdPoints(numPlayers, prizePosition, totalRounds);
+        var maxCount = Math.max.apply(null, histogram) || 1;
+        var above = 0;
+
+        histogramDescription.textContent = (modelModeInput.value === 'exact' ? 'Exact expected' : 'Average simulated') +
+            ' number of players finishing on each point total (' + numPlayers + ' players, ' + totalRounds + ' rounds)';
+        histogramBody.innerHTML = '';
+
+        for (var p = histogram.length - 1; p >= 0; p--) {
+            var count = histogram[p];
+            if (count < 0.05 && p !== currentPoints) {
+                continue;
+            }
+            var pct = Math.round((count / maxCount) * 100);
+            var barClass = p >= threshold ? 'prob-high' : (p >= threshold - 3 ? 'prob-medium' : 'prob-none');
+
+            var tr = document.createElement('tr');
+            if (p === currentPoints) tr.classList.add('current-row');
+
+            tr.innerHTML =
+                '<td class="points-cell">' + p + '</td>' +
+                '<td class="prob-cell">' +
+                '<div class="prob-bar-container">' +
+                '<div class="prob-bar-bg"><div class="prob-bar-fill ' + barClass + '" style="width: 0%" data-width="' + pct + '%"></div></div>' +
+                '<span class="prob-value ' + barClass + '">' + count.toFixed(1) + '</span>' +
+                '</div></td>' +
+                '<td class="points-cell">' + Math.round(above + count) + '</td>';
+
+            histogramBody.appendChild(tr);
+            above += count;
+        }
+
+        MtgUi.animateBars(histogramBody);
+    }
+
+    var ID_VERDICTS = {
+        safe: { text: 'Safe', class: 'status-safe' },
+        tiebreakers: { text: 'Tiebreakers', class: 'status-possible' },
+        out: { text: 'Out', class: 'status-out' }
+    };
+
+    /**
+     * Field-wide version of checkDrawAdvantage: can the top tables of the last
+     * round all ID into the prize positions?
+     */
+    function buildTopTableReport(numPlayers, totalRounds, prizePosition) {
+        var histogram;
+        if (liveStandings !== null && liveStandings.roundsPlayed === totalRounds - 1) {
+            histogram = StandingsImport.getPointHistogram(liveStandings.players);
+            topTablesDescription.textContent = 'Last-round top tables paired from the live standings';
+        } else {
+            histogram = SwissModel.getExpectedHistogram(getStandingsModel(numPlayers, totalRounds - 1));
+            topTablesDescription.textContent = 'Last-round top tables paired from the expected standings after round ' + (totalRounds - 1) +
+                ' (' + numPlayers + ' players)';
+        }
+
+        topTablesBody.innerHTML = '';
+        SwissPairing.getTopTableIdReport(histogram, prizePosition).forEach(function (row) {
+            var verdict = ID_VERDICTS[row.verdict];
+            var tr = document.createElement('tr');
+            tr.innerHTML =
+                '<td class="points-cell">' + row.table + '</td>' +
+                '<td class="record-cell">' + row.points[0] + ' vs ' + row.points[1] + '</td>' +
+                '<td class="record-cell">' + row.idPoints[0] + ' / ' + row.idPoints[1] + '</td>' +
+                '<td class="points-cell">' + row.catchUp + '</td>' +
+                '<td><span class="status-badge ' + verdict.class + '">' + verdict.text + '</span></td>';
+            topTablesBody.appendChild(tr);
         });
     }
 
@@ -782,9 +2610,11 @@
         var currentWins = parseInt(winsInput.value) || 0;
         var currentLosses = parseInt(lossesInput.value) || 0;
         var currentDraws = parseInt(drawsInput.value) || 0;
-        var currentPoints = getMatchPoints(currentWins, currentDraws);
-        var roundsPlayed = currentWins + currentLosses + currentDraws;
+        var currentPoints = MtgCore.getMatchPoints(currentWins, currentDraws);
         var isInProgress = inProgressToggle.checked;
+        // In progress, rounds not reported yet still count as played, with unknown results
+        var pendingCount = isInProgress ? getPendingRounds().length : 0;
+        var roundsPlayed = currentWins + currentLosses + currentDraws + pendingCount;
 
         // Highlight that in progress mode uses current (partial) record
         if (isInProgress) {
@@ -796,6 +2626,12 @@
                 alert('Enter your current record (at least 1 round played) to analyze the tournament in progress.');
                 return;
             }
+            var cut = getDayCut(totalRounds);
+            var cutProgress = getTrackerDay1Progress(cut);
+            if (cut && roundsPlayed >= cut.afterRound && cutProgress.open === 0 && cutProgress.points < cut.minPoints) {
+                alert('Your Day 1 record is below the Day 2 threshold of ' + cut.minPoints + ' points.');
+                return;
+            }
         } else {
             if (roundsPlayed > totalRounds) {
                 alert('This tournament has only ' + totalRounds + ' rounds! Your record has ' + roundsPlayed + ' matches.');
@@ -808,96 +2644,111 @@
             var remaining = totalRounds - roundsPlayed;
             strategySection.classList.remove('hidden');
 
-            // Calculate OMW% from round tracker
-            var omwEstimate = estimateOMW(roundResults, totalRounds);
-
-            // Analyze the "draw all remaining" scenario
-            var drawAllFinalW = currentWins;
-            var drawAllFinalL = currentLosses;
-            var drawAllFinalD = currentDraws + remaining;
-            var drawAllProb = estimatePrizePositionProbability(drawAllFinalW, drawAllFinalL, drawAllFinalD, totalRounds, numPlayers, prizePosition, omwEstimate);
-
-            // Analyze the "win all remaining" scenario
-            var winAllFinalW = currentWins + remaining;
-            var winAllFinalL = currentLosses;
-            var winAllFinalD = currentDraws;
-            var winAllProb = estimatePrizePositionProbability(winAllFinalW, winAllFinalL, winAllFinalD, totalRounds, numPlayers, prizePosition, omwEstimate);
-
-            // Find minimum wins needed for safe Top X (>= 75%)
-            var minWinsNeeded = -1;
-            for (var testW = 0; testW <= remaining; testW++) {
-                var testDraws = remaining - testW;
-                var testProb = estimatePrizePositionProbability(
-                    currentWins + testW, currentLosses, currentDraws + testDraws, totalRounds, numPlayers, prizePosition, omwEstimate
-                );
-                if (testProb >= 75) {
-                    minWinsNeeded = testW;
-                    break;
-                }
+            // Calculate OMW% from round tracker; real opponent records replace the estimate
+            var tiebreakers = computeTiebreakers(roundResults, roundDetails);
+            var hasRealOMW = tiebreakers.omw !== null;
+            var omwEstimate = hasRealOMW ? tiebreakers.omw : MtgCore.estimateOMW(roundResults, totalRounds);
+
+            // Solve the play/ID decision tree for the remaining rounds
+            var dayCut = getDayCut(totalRounds);
+            var day1Progress = getTrackerDay1Progress(dayCut);
+            var solverOptions = getStrategyOptions();
+            if (dayCut && roundsPlayed <= dayCut.afterRound) {
+                // Exactly at the end of Day 1 the banked points must reach the threshold
+                solverOptions.isEliminated = function (w, l, d) {
+                    return w + l + d === dayCut.afterRound && MtgCore.getMatchPoints(w, d) < dayCut.minPoints;
+                };
             }
+            solverOptions.pending = MtgCore.generateScenarios(pendingCount).map(function (sc) {
+                // Past Day 1, pending Day 1 rounds also decide whether we are still in
+                var day2Chance = dayCut && roundsPlayed > dayCut.afterRound
+                    ? getDay2Chance(dayCut, sc.extraWins, sc.extraLosses, sc.extraDraws, day1Progress.points, day1Progress.open)
+                    : 1;
+                return {
+                    wins: sc.extraWins,
+                    losses: sc.extraLosses,
+                    draws: sc.extraDraws,
+                    weight: getRecordLikelihood(sc.extraWins, sc.extraLosses, sc.extraDraws, solverOptions) * day2Chance
+                };
+            });
+            var matchup = getNextRoundMatchup();
+            if (matchup) solverOptions.nextRound = matchup.rates;
+            var plan = solvePlayOrDraw(currentWins, currentLosses, currentDraws, remaining, solverOptions, function (w, l, d) {
+                return estimatePrizePositionProbability(w, l, d, totalRounds, numPlayers, prizePosition, omwEstimate) / 100;
+            });
 
             // Set strategy card content
-            strategyTitle.textContent = 'Current: ' + currentWins + '-' + currentLosses + '-' + currentDraws +
-                ' (' + currentPoints + ' pts) \u2014 ' + remaining + ' round' + (remaining !== 1 ? 's' : '') + ' left';
-            strategySubtitle.textContent = 'Round ' + roundsPlayed + ' of ' + totalRounds + ' completed';
-
-            // Show OMW% estimate
+            strategyTitle.textContent = 'Current: ' + MtgCore.formatRecord(currentWins, currentLosses, currentDraws) +
+                ' (' + currentPoints + ' pts)' + (pendingCount > 0 ? ' + ' + pendingCount + ' pending' : '') +
+                ' \u2014 ' + remaining + ' round' + (remaining !== 1 ? 's' : '') + ' left';
+            strategySubtitle.textContent = 'Round ' + roundsPlayed + ' of ' + totalRounds + ' completed' +
+                (dayCut ? ' \u2014 Day ' + (roundsPlayed < dayCut.afterRound ? '1' : '2') +
+                    ', Day 2 needs ' + dayCut.minPoints + ' points after round ' + dayCut.afterRound : '') +
+                (matchup ? ' \u2014 next round uses your ' + matchup.rates.cell.wins + '-' + matchup.rates.cell.losses + '-' +
+                    matchup.rates.cell.draws + ' record with ' + matchup.deck + ' vs ' + matchup.archetype +
+                    ' (' + Math.round(matchup.rates.winRate * 100) + '% match wins)' : '');
+
+            // Show OMW% (actual or estimated) and the other tiebreakers when known
             if (omwEstimate !== null) {
                 var omwPercent = Math.round(omwEstimate * 100);
                 var omwClass = omwEstimate > 0.50 ? 'omw-good' : (omwEstimate < 0.45 ? 'omw-bad' : 'omw-average');
-                omwDisplay.innerHTML = 'Estimated OMW%: <span class="omw-value ' + omwClass + '">' + omwPercent + '%</span>' +
-                    (omwEstimate > 0.50 ? ' \u2014 good tiebreakers' : (omwEstimate < 0.45 ? ' \u2014 weak tiebreakers' : ' \u2014 average tiebreakers'));
+                var omwLabel = hasRealOMW
+                    ? 'OMW% (' + tiebreakers.omwRounds + ' opponent' + (tiebreakers.omwRounds !== 1 ? 's' : '') + ')'
+                    : 'Estimated OMW%';
+                var extra = '';
+                if (tiebreakers.gw !== null) extra += ' | GW%: <span class="omw-value">' + Math.round(tiebreakers.gw * 100) + '%</span>';
+                if (tiebreakers.ogw !== null) extra += ' | OGW%: <span class="omw-value">' + Math.round(tiebreakers.ogw * 100) + '%</span>';
+                omwDisplay.innerHTML = omwLabel + ': <span class="omw-value ' + omwClass + '">' + omwPercent + '%</span>' +
+                    (omwEstimate > 0.50 ? ' \u2014 good tiebreakers' : (omwEstimate < 0.45 ? ' \u2014 weak tiebreakers' : ' \u2014 average tiebreakers')) +
+                    extra;
                 omwDisplay.classList.remove('hidden');
             } else {
                 omwDisplay.classList.add('hidden');
             }
 
-            if (drawAllProb >= 90) {
-                strategyVerdict.textContent = 'You can safely draw all ' + remaining + ' remaining round' + (remaining !== 1 ? 's' : '') +
-                    '. Drawing into ' + drawAllFinalW + '-' + drawAllFinalL + '-' + drawAllFinalD +
-                    ' gives you ' + drawAllProb + '% probability of Top ' + prizePosition + '.';
-                strategyVerdict.className = 'strategy-verdict strategy-draw';
-            } else if (drawAllProb >= 60) {
-                strategyVerdict.textContent = 'Drawing all remaining rounds gives you ' + drawAllProb + '% chance \u2014 likely enough, ' +
-                    'but winning would make it safer. Consider your tiebreakers.';
-                strategyVerdict.className = 'strategy-verdict strategy-mixed';
-            } else if (minWinsNeeded > 0 && minWinsNeeded <= remaining) {
-                strategyVerdict.textContent = 'You need to win at least ' + minWinsNeeded + ' more round' + (minWinsNeeded !== 1 ? 's' : '') +
-                    ' to have a solid shot at Top ' + prizePosition + '. Drawing alone (' + drawAllProb + '%) is not enough. Play to win.';
-                strategyVerdict.className = 'strategy-verdict strategy-play';
-            } else if (winAllProb < 25) {
-                strategyVerdict.textContent = 'Even winning all remaining rounds gives only ' + winAllProb + '% chance. ' +
-                    'Top ' + prizePosition + ' is very unlikely from this position.';
-                strategyVerdict.className = 'strategy-verdict strategy-must-win';
-            } else {
-                strategyVerdict.textContent = 'You need to win your remaining rounds. Drawing is not safe (' + drawAllProb + '%). ' +
-                    'Winning all gives ' + winAllProb + '% chance.';
-                strategyVerdict.className = 'strategy-verdict strategy-play';
-            }
+            renderStrategyPlan(plan, roundsPlayed, prizePosition);
 
-            // Build scenarios table for remaining rounds
-            var scenarios = generateRemainingScenarios(remaining);
-            scenariosDescription.textContent = 'All possible outcomes for your ' + remaining + ' remaining round' + (remaining !== 1 ? 's' : '') + ':';
+            // Build scenarios table for the pending and remaining rounds
+            var outcomeRounds = pendingCount + remaining;
+            var scenarios = MtgCore.generateScenarios(outcomeRounds);
+            scenariosDescription.textContent = 'All possible outcomes for your ' + remaining + ' remaining round' + (remaining !== 1 ? 's' : '') +
+                (pendingCount > 0 ? ' and ' + pendingCount + ' pending round' + (pendingCount !== 1 ? 's' : '') : '') + ':';
             scenariosBody.innerHTML = '';
 
+            var strategyOptions = getStrategyOptions();
+            // Standings after the pending rounds already hold their results, so they
+            // cannot be combined with results we do not know yet
+            var otherPoints = pendingCount === 0
+                ? getOtherStandingsPoints(roundsPlayed, totalRounds, MtgCore.getMatchPoints(currentWins, currentDraws))
+                : null;
             scenarios.forEach(function (sc) {
+                var likelihood = getRecordLikelihood(sc.extraWins, sc.extraLosses, sc.extraDraws, strategyOptions);
                 var finalW = currentWins + sc.extraWins;
                 var finalL = currentLosses + sc.extraLosses;
                 var finalD = currentDraws + sc.extraDraws;
-                var pts = getMatchPoints(finalW, finalD);
-                var prob = estimatePrizePositionProbability(finalW, finalL, finalD, totalRounds, numPlayers, prizePosition, omwEstimate);
-                var probClass = getProbClass(prob);
-                var status = getStatusInfo(prob);
+                var pts = MtgCore.getMatchPoints(finalW, finalD);
+                var prob = Math.round(estimatePrizePositionProbability(finalW, finalL, finalD, totalRounds, numPlayers, prizePosition, omwEstimate) *
+                    getDay2Chance(dayCut, sc.extraWins, sc.extraLosses, sc.extraDraws, day1Progress.points, day1Progress.open));
+                var status = MtgCore.getStatusInfo(prob);
+
+                // A proof from the full standings beats the estimate. In an odd field any
+                // of our wins could be the bye, which leaves the field fewer points to share
+                var proof = otherPoints ? StandingsImport.getClinchStatus(otherPoints, pts, remaining, prizePosition, {
+                    wins: sc.extraWins, losses: sc.extraLosses, draws: sc.extraDraws,
+                    byes: otherPoints.length % 2 === 0 ? sc.extraWins : 0
+                }) : null;
+                if (proof === 'clinched') {
+                    prob = 100;
+                    status = { text: 'Clinched', class: 'status-safe' };
+                } else if (proof === 'eliminated') {
+                    prob = 0;
+                    status = { text: 'Eliminated', class: 'status-out' };
+                }
 
-                // Build remaining results label
-                var parts = [];
-                if (sc.extraWins > 0) parts.push(sc.extraWins + 'W');
-                if (sc.extraLosses > 0) parts.push(sc.extraLosses + 'L');
-                if (sc.extraDraws > 0) parts.push(sc.extraDraws + 'D');
-                var remainingLabel = parts.length > 0 ? parts.join(' ') : '—';
+                var remainingLabel = MtgCore.getScenarioLabel(sc);
 
-                var isAllDraw = (sc.extraDraws === remaining && sc.extraWins === 0 && sc.extraLosses === 0);
-                var isAllWin = (sc.extraWins === remaining && sc.extraLosses === 0 && sc.extraDraws === 0);
+                var isAllDraw = (sc.extraDraws === outcomeRounds && sc.extraWins === 0 && sc.extraLosses === 0);
+                var isAllWin = (sc.extraWins === outcomeRounds && sc.extraLosses === 0 && sc.extraDraws === 0);
 
                 var tr = document.createElement('tr');
                 if (isAllDraw) tr.classList.add('scenario-draw');
@@ -905,15 +2756,17 @@
 
                 tr.innerHTML =
                     '<td class="record-cell">' + remainingLabel + '</td>' +
-                    '<td class="record-cell">' + finalW + '-' + finalL + '-' + finalD + '</td>' +
+                    '<td class="record-cell">' + MtgCore.formatRecord(finalW, finalL, finalD) + '</td>' +
                     '<td class="points-cell">' + pts + '</td>' +
-                    '<td class="prob-cell">' + buildProbBarHTML(prob) + '</td>' +
+                    '<td class="points-cell">' + formatLikelihood(likelihood) + '</td>' +
+                    '<td class="prob-cell">' + MtgUi.buildProbBarHTML(prob) + '</td>' +
+                    '<td class="points-cell">' + formatPrize(getExpectedPrize(pts, numPlayers, totalRounds)) + '</td>' +
                     '<td><span class="status-badge ' + status.class + '">' + status.text + '</span></td>';
 
                 scenariosBody.appendChild(tr);
             });
 
-            animateBars(scenariosBody);
+            MtgUi.animateBars(scenariosBody);
 
             // Scroll to strategy section
             setTimeout(function () {
@@ -927,7 +2780,7 @@
         resultsSection.classList.remove('hidden');
 
         // Summary
-        summaryRecord.textContent = currentWins + '-' + currentLosses + '-' + currentDraws;
+        summaryRecord.textContent = MtgCore.formatRecord(currentWins, currentLosses, currentDraws);
         var currentProb;
         if (isInProgress) {
             currentProb = estimatePrizePositionProbability(currentWins, currentLosses, currentDraws, totalRounds, numPlayers, prizePosition);
@@ -941,19 +2794,49 @@
                 '<div>' + totalRounds + ' rounds / ' + numPlayers + ' players</div>';
         }
 
-        var verdict = getVerdict(currentProb, prizePosition);
+        // Forecast: weight every reachable final record by how likely the player is to get it
+        var forecastOptions = getStrategyOptions();
+        var summaryCut = getDayCut(totalRounds);
+        var summaryProgress = isInProgress ? getTrackerDay1Progress(summaryCut) : { points: 0, open: summaryCut ? summaryCut.afterRound : 0 };
+        if (summaryCut) {
+            summaryInfo.innerHTML += '<div>Expected Day 2 field: ' + Math.round(getExpectedDay2Field(numPlayers, summaryCut)) +
+                ' players on ' + summaryCut.minPoints + '+ points</div>';
+        }
+        var forecast = 0;
+        var expectedPrize = { value: 0, qp: 0 };
+        MtgCore.generateAllRecords(totalRounds).forEach(function (rec) {
+            var likelihood = getRecordLikelihood(rec.wins - currentWins, rec.losses - currentLosses, rec.draws - currentDraws, forecastOptions);
+            if (likelihood > 0) {
+                // Records that miss the Day 2 cut end after Day 1 and win nothing here
+                likelihood *= getDay2Chance(summaryCut, rec.wins - currentWins, rec.losses - currentLosses, rec.draws - currentDraws,
+                    summaryProgress.points, summaryProgress.open);
+                forecast += likelihood * estimatePrizePositionProbability(rec.wins, rec.losses, rec.draws, totalRounds, numPlayers, prizePosition) / 100;
+                var prize = getExpectedPrize(MtgCore.getMatchPoints(rec.wins, rec.draws), numPlayers, totalRounds);
+                expectedPrize.value += likelihood * prize.value;
+                expectedPrize.qp += likelihood * prize.qp;
+            }
+        });
+        summaryInfo.innerHTML += '<div>Your chance to make Top ' + prizePosition + ' from here: <strong>' +
+            Math.round(forecast * 100) + '%</strong></div>';
+        if (payoutTiers.length > 0) {
+            summaryInfo.innerHTML += '<div>Expected prize from here: <strong>' + formatPrize(expectedPrize) + '</strong></div>';
+        }
+
+        var verdict = MtgCore.getVerdict(currentProb, prizePosition);
         summaryVerdict.textContent = verdict.text;
         summaryVerdict.className = 'summary-verdict ' + verdict.class;
 
         // Build full thresholds table
-        var allRecords = generateAllRecords(totalRounds);
+        var allRecords = MtgCore.generateAllRecords(totalRounds);
         thresholdsBody.innerHTML = '';
 
         allRecords.forEach(function (rec) {
-            var pts = getMatchPoints(rec.wins, rec.draws);
-            var prob = estimatePrizePositionProbability(rec.wins, rec.losses, rec.draws, totalRounds, numPlayers, prizePosition);
-            var probClass = getProbClass(prob);
-            var status = getStatusInfo(prob);
+            var pts = MtgCore.getMatchPoints(rec.wins, rec.draws);
+            var likelihood = getRecordLikelihood(rec.wins - currentWins, rec.losses - currentLosses, rec.draws - currentDraws, forecastOptions);
+            var prob = Math.round(estimatePrizePositionProbability(rec.wins, rec.losses, rec.draws, totalRounds, numPlayers, prizePosition) *
+                getDay2Chance(summaryCut, rec.wins, rec.losses, rec.draws, 0, summaryCut ? summaryCut.afterRound : 0));
+            var probClass = MtgCore.getProbClass(prob);
+            var status = MtgCore.getStatusInfo(prob);
 
             var isCurrent = (
                 rec.wins === currentWins &&
@@ -965,15 +2848,19 @@
             if (isCurrent) tr.classList.add('current-row');
 
             tr.innerHTML =
-                '<td class="record-cell">' + rec.wins + '-' + rec.losses + '-' + rec.draws + '</td>' +
+                '<td class="record-cell">' + MtgCore.formatRecord(rec.wins, rec.losses, rec.draws) + '</td>' +
                 '<td class="points-cell">' + pts + '</td>' +
-                '<td class="prob-cell">' + buildProbBarHTML(prob) + '</td>' +
+                '<td class="points-cell">' + formatLikelihood(likelihood) + '</td>' +
+                '<td class="prob-cell">' + MtgUi.buildProbBarHTML(prob) + '</td>' +
                 '<td><span class="status-badge ' + status.class + '">' + status.text + '</span></td>';
 
             thresholdsBody.appendChild(tr);
         });
 
-        animateBars(thresholdsBody);
+        MtgUi.animateBars(thresholdsBody);
+
+        buildPointHistogram(numPlayers, totalRounds, prizePosition, currentPoints);
+        if (totalRounds > 1) buildTopTableReport(numPlayers, totalRounds, prizePosition);
 
         // If not in progress, scroll to results
         if (!isInProgress) {
@@ -986,48 +2873,128 @@
     // =====================
     // Event Listeners
     // =====================
-    playersInput.addEventListener('input', updateRoundsDisplay);
+    playersInput.addEventListener('input', function () {
+        if (playersTimer !== null) clearTimeout(playersTimer);
+        playersTimer = setTimeout(function () {
+            playersTimer = null;
+            updateRoundsDisplay();
+        }, PLAYERS_DEBOUNCE_MS);
+    });
     playersInput.addEventListener('change', saveTournamentData);
+    structureInput.addEventListener('change', function () {
+        var structure = getStructure();
+        if (structure.cut) {
+            prizePositionInput.value = structure.cut(parseInt(playersInput.value) || 0);
+        }
+        updateRoundsDisplay();
+        saveTournamentData();
+        scheduleRecalculate();
+    });
+    byesInput.addEventListener('change', onByesChange);
+    document.getElementById('standings-load-btn').addEventListener('click', function () {
+        loadStandings(standingsTextInput.value);
+    });
+    standingsClearBtn.addEventListener('click', clearStandings);
+    standingsFileInput.addEventListener('change', onStandingsFileChange);
+    standingsNameInput.addEventListener('change', function () {
+        renderLiveStandings();
+        saveTournamentData();
+    });
+    multiDayToggle.addEventListener('change', function () {
+        multiDayInputs.classList.toggle('hidden', !multiDayToggle.checked);
+    });
+    [multiDayToggle, day1RoundsInput, day2ThresholdInput].forEach(function (el) {
+        el.addEventListener('change', function () {
+            updateRoundsDisplay();
+            saveTournamentData();
+            scheduleRecalculate();
+        });
+    });
+    roundsOverrideInput.addEventListener('input', function () {
+        updateRoundsDisplay();
+        saveTournamentData();
+        scheduleRecalculate();
+    });
     prizePositionInput.addEventListener('change', function() {
         saveTournamentData();
-        updateThresholdDisplay();
+        updateRoundsDisplay();
+        renderLiveStandings();
         if (resultsSection.classList.contains('hidden') === false) {
             calculate();
         }
     });
+    dropModelInput.addEventListener('change', function () {
+        dropCustomInputs.classList.toggle('hidden', dropModelInput.value !== 'custom');
+    });
+    [drawRateInput, fieldWinRateInput, modelModeInput, dropModelInput, dropZeroLossInput, dropOneLossInput, dropTwoLossInput, dropThreeLossInput, playersRemainingInput, matchWinRateInput, matchDrawRateInput, idAcceptRateInput].forEach(function (el) {
+        el.addEventListener('change', function () {
+            saveTournamentData();
+            updateThresholdDisplay();
+            scheduleRecalculate();
+        });
+    });
     inProgressToggle.addEventListener('change', onToggleChange);
     winsInput.addEventListener('input', updateRecordDisplay);
     lossesInput.addEventListener('input', updateRecordDisplay);
     drawsInput.addEventListener('input', updateRecordDisplay);
+    [winsInput, lossesInput, drawsInput].forEach(function (el) {
+        el.addEventListener('change', function () {
+            commitEdit('Record: ' + recordDisplay.textContent);
+        });
+    });
+    undoBtn.addEventListener('click', undoEdit);
+    redoBtn.addEventListener('click', redoEdit);
+    document.addEventListener('keydown', onUndoShortcut);
     calculateBtn.addEventListener('click', calculate);
     document.getElementById('clear-btn').addEventListener('click', clearTournamentData);
+    document.getElementById('share-btn').addEventListener('click', shareTournament);
+    document.getElementById('qr-show-btn').addEventListener('click', renderQrCode);
+    qrScanBtn.addEventListener('click', toggleQrScan);
+    qrFileInput.addEventListener('change', onQrFileChange);
+    updateQrImportSupport();
+    tournamentSelect.addEventListener('change', function () {
+        switchTournament(tournamentSelect.value);
+    });
+    document.getElementById('new-tournament-btn').addEventListener('click', newTournament);
+    archiveTournamentBtn.addEventListener('click', toggleArchiveTournament);
+    document.getElementById('delete-tournament-btn').addEventListener('click', deleteTournament);
+    [tournamentNameInput, tournamentDateInput, tournamentFormatInput, tournamentDeckInput, tournamentPlacementInput].forEach(function (el) {
+        el.addEventListener('change', onTournamentDetailsChange);
+    });
+    document.getElementById('add-payout-btn').addEventListener('click', addPayoutTier);
+    packValueInput.addEventListener('change', function () {
+        saveTournamentData();
+        scheduleRecalculate();
+    });
 
-    document.querySelectorAll('.number-input').forEach(function (el) {
+    document.querySelectorAll('input.number-input').forEach(function (el) {
         el.addEventListener('keypress', function (e) {
             if (e.key === 'Enter') calculate();
         });
     });
 
-    // Initialize storage mode and load persisted data when valid
-    storageMode = isStorageAvailable() ? 'local' : 'memory';
-    loadTournamentData();
-    addQuickActionButtons();
-    onToggleChange();
-    updateRoundsDisplay();
-    updateRecordDisplay();
-    
-    // Handle quick actions from widget shortcuts
-    var action = getUrlParameter('action');
-    if (action) {
-        // Enable in-progress mode to use quick actions
-        if (!inProgressToggle.checked) {
-            inProgressToggle.checked = true;
-            onToggleChange();
+    // Open storage, then load persisted data when valid
+    MtgStorage.open(function () {
+        loadTournamentData();
+        addQuickActionButtons();
+        onToggleChange();
+        updateRoundsDisplay();
+        updateRecordDisplay();
+        openSharedState();
+
+        // Handle quick actions from widget shortcuts
+        var action = getUrlParameter('action');
+        if (action) {
+            // Enable in-progress mode to use quick actions
+            if (!inProgressToggle.checked) {
+                inProgressToggle.checked = true;
+                onToggleChange();
+            }
+
+            // Wait a moment for DOM to be ready
+            setTimeout(function() {
+                quickAddResult(action);
+            }, 500);
         }
-        
-        // Wait a moment for DOM to be ready
-        setTimeout(function() {
-            quickAddResult(action);
-        }, 500);
-    }
+    });
 })();
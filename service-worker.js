@@ -3,13 +3,23 @@
  * Handles caching and offline functionality for PWA
  */
 
-const CACHE_NAME = 'mtg-calculator-v2';
+const CACHE_NAME = 'mtg-calculator-v12';
 const APP_SHELL_URLS = [
   './',
   './index.html',
   './day2.html',
+  './stats.html',
   './script.js',
+  './storage.js',
+  './mtg-core.js',
+  './mtg-ui.js',
+  './swiss-model.js',
+  './standings-import.js',
+  './swiss-pairing.js',
+  './matchups.js',
+  './qr-code.js',
   './day2.js',
+  './stats.js',
   './style.css',
   './manifest.json'
 ];
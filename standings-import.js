@@ -0,0 +1,534 @@
+/**
+ * MTG Standings Import
+ * Pure parsers that turn a pasted or saved standings export into a list of
+ * players with their points and tiebreakers. Supported formats:
+ *  - Melee.gg CSV export
+ *  - EventLink / Companion standings copied as text
+ *  - MTGO standings (tab or space separated)
+ * With the whole field known it can also prove that a final point total has
+ * clinched or been eliminated from the prize positions.
+ * None of the functions touch the DOM, so they can run in a browser or in Node.
+ */
+
+(function (root) {
+    'use strict';
+
+    var FORMAT_LABELS = {
+        melee: 'Melee.gg CSV',
+        eventlink: 'EventLink / Companion',
+        mtgo: 'MTGO'
+    };
+
+    var RECORD_PATTERN = /(\d+)\s*-\s*(\d+)(?:\s*-\s*(\d+))?/;
+
+    // =====================
+    // Field Helpers
+    // =====================
+
+    /**
+     * Split CSV text into rows of fields, honouring quoted fields with
+     * embedded commas, doubled quotes and line breaks.
+     * @param {string} text
+     * @returns {string[][]}
+     */
+    function parseCsv(text) {
+        var rows = [];
+        var row = [];
+        var field = '';
+        var quoted = false;
+
+        for (var i = 0; i < text.length; i++) {
+            var ch = text.charAt(i);
+            if (quoted) {
+                if (ch === '"' && text.charAt(i + 1) === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',') {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text.charAt(i + 1) === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(function (r) {
+            return r.some(function (value) { return value.trim() !== ''; });
+        });
+    }
+
+    /**
+     * Parse a tiebreaker written as "62.50%", "62.5" or "0.6250" into a percentage.
+     * @returns {number|null}
+     */
+    function parsePercentage(value) {
+        if (value === undefined || value === null) return null;
+        var text = String(value).trim();
+        if (text === '') return null;
+        var number = parseFloat(text.replace('%', '').replace(',', '.'));
+        if (isNaN(number) || number < 0) return null;
+        if (text.indexOf('%') === -1 && number <= 1) number *= 100;
+        return Math.min(100, Math.round(number * 100) / 100);
+    }
+
+    /**
+     * Parse "3-1", "3-1-0" or "3 - 1 - 1" into a W-L-D record.
+     * @returns {{ wins: number, losses: number, draws: number }|null}
+     */
+    function parseRecord(value) {
+        var match = RECORD_PATTERN.exec(String(value || ''));
+        if (!match) return null;
+        return {
+            wins: parseInt(match[1], 10),
+            losses: parseInt(match[2], 10),
+            draws: match[3] ? parseInt(match[3], 10) : 0
+        };
+    }
+
+    function createPlayer(rank, name, points, record, omw, gw, ogw) {
+        if (points === null && record) points = record.wins * 3 + record.draws;
+        return {
+            rank: rank,
+            name: name,
+            points: points,
+            record: record,
+            omw: omw,
+            gw: gw,
+            ogw: ogw
+        };
+    }
+
+    function parseInteger(value) {
+        var number = parseInt(String(value || '').trim(), 10);
+        return isNaN(number) ? null : number;
+    }
+
+    function isValidPlayer(player) {
+        return player.name !== '' && player.points !== null && player.points >= 0;
+    }
+
+    /**
+     * Sort by rank (then points) and fill in missing ranks from the order.
+     */
+    function finalizePlayers(players) {
+        var valid = players.filter(isValidPlayer);
+        valid.sort(function (a, b) {
+            if (a.rank !== null && b.rank !== null && a.rank !== b.rank) return a.rank - b.rank;
+            return b.points - a.points;
+        });
+        valid.forEach(function (player, index) {
+            if (player.rank === null) player.rank = index + 1;
+        });
+        return valid;
+    }
+
+    function normalizeHeader(value) {
+        return String(value).toLowerCase().replace(/[^a-z]/g, '');
+    }
+
+    function findColumn(headers, names) {
+        for (var i = 0; i < headers.length; i++) {
+            if (names.indexOf(headers[i]) !== -1) return i;
+        }
+        return -1;
+    }
+
+    // =====================
+    // Format Parsers
+    // =====================
+
+    /**
+     * Melee.gg CSV export. Columns are found by header name, so extra
+     * columns (decklist, team, country) and column order do not matter.
+     * @param {string} text
+     * @returns {Object[]} players sorted by rank
+     */
+    function parseMeleeCsv(text) {
+        var rows = parseCsv(text);
+        if (rows.length < 2) return [];
+
+        var headers = rows[0].map(normalizeHeader);
+        var columns = {
+            rank: findColumn(headers, ['rank', 'place', 'standing', 'pos', 'position']),
+            name: findColumn(headers, ['player', 'name', 'playername', 'displayname']),
+            points: findColumn(headers, ['points', 'matchpoints', 'pts']),
+            record: findColumn(headers, ['record', 'matchrecord', 'wld', 'wl']),
+            omw: findColumn(headers, ['omw', 'omwp', 'opponentmatchwin', 'opponentmatchwinpercentage']),
+            gw: findColumn(headers, ['gw', 'gwp', 'gamewin', 'gamewinpercentage']),
+            ogw: findColumn(headers, ['ogw', 'ogwp', 'opponentgamewin', 'opponentgamewinpercentage'])
+        };
+        if (columns.name === -1 || (columns.points === -1 && columns.record === -1)) return [];
+
+        var players = rows.slice(1).map(function (row) {
+            function cell(index) {
+                return index === -1 ? '' : (row[index] || '').trim();
+            }
+            return createPlayer(
+                parseInteger(cell(columns.rank)),
+                cell(columns.name),
+                parseInteger(cell(columns.points)),
+                parseRecord(cell(columns.record)),
+                parsePercentage(cell(columns.omw)),
+                parsePercentage(cell(columns.gw)),
+                parsePercentage(cell(columns.ogw))
+            );
+        });
+
+        return finalizePlayers(players);
+    }
+
+    var POINTS_SUFFIX_PATTERN = /^(?:pts?\.?|points)$/i;
+    var POINTS_TOKEN_PATTERN = /^(\d+)(pts?\.?|points)?$/i;
+    var RECORD_TOKEN_PATTERN = /^\d+-\d+(?:-\d+)?$/;
+    var PERCENTAGE_TOKEN_PATTERN = /^(?:\d+(?:[.,]\d+)?%|\d*[.,]\d+)$/;
+
+    /**
+     * What a word of an EventLink row holds, or null for part of the name.
+     * Brackets and trailing punctuation around a value are ignored.
+     * @returns {{ type: string, value: * }|null} type is 'suffix', 'record',
+     *   'percentage' or 'integer' (value: { number, suffixed })
+     */
+    function classifyToken(token) {
+        var value = token.replace(/^[(\[]+|[)\],;]+$/g, '');
+        if (POINTS_SUFFIX_PATTERN.test(value)) return { type: 'suffix', value: value };
+        if (RECORD_TOKEN_PATTERN.test(value)) return { type: 'record', value: parseRecord(value) };
+        if (PERCENTAGE_TOKEN_PATTERN.test(value)) return { type: 'percentage', value: parsePercentage(value) };
+        var match = POINTS_TOKEN_PATTERN.exec(value);
+        if (match) return { type: 'integer', value: { number: parseInt(match[1], 10), suffixed: Boolean(match[2]) } };
+        return null;
+    }
+
+    /**
+     * Index of the points in the values that end an EventLink row: the number
+     * marked "pts", otherwise the last whole number before the percentages.
+     * @returns {number} -1 when the row has no points
+     */
+    function findPointsIndex(values) {
+        var i;
+        for (i = 0; i < values.length; i++) {
+            if (values[i].type !== 'integer') continue;
+            if (values[i].value.suffixed || (values[i + 1] && values[i + 1].type === 'suffix')) return i;
+        }
+        var index = -1;
+        for (i = 0; i < values.length && values[i].type !== 'percentage'; i++) {
+            if (values[i].type === 'integer') index = i;
+        }
+        return index;
+    }
+
+    /**
+     * EventLink or Companion standings copied as text. Each line starts with
+     * the rank and the name, and ends with the points (a number, optionally
+     * followed by "pts"), an optional W-L-D record before or after them and
+     * OMW% / GW% / OGW%. The name is everything before those values, so it may
+     * contain numbers of its own ("Player 2").
+     * Lines that do not look like a standings row (headers, titles) are skipped.
+     *   "1   Smith, John   12   4-0-0   62.50%   80.00%   58.33%"
+     *   "2. Jane Doe 10 pts (3-0-1)"
+     *   "3   Player 2 Name   3-0-0   9"
+     * @param {string} text
+     * @returns {Object[]} players sorted by rank
+     */
+    function parseEventLinkText(text) {
+        var players = [];
+        var rowPattern = /^\s*(\d+)[.)]?\s+(.+)$/;
+
+        text.split(/\r?\n/).forEach(function (line) {
+            var match = rowPattern.exec(line);
+            if (!match) return;
+
+            // Glue "62.50 %" and "3 - 0 - 1" back into single values
+            var body = match[2].replace(/(\d)\s+%/g, '$1%').replace(/(\d)\s*-\s*(?=\d)/g, '$1-');
+
+            var tokens = body.trim().split(/\s+/);
+            var classes = tokens.map(classifyToken);
+            var valuesStart = tokens.length;
+            while (valuesStart > 0 && classes[valuesStart - 1] !== null) valuesStart--;
+
+            var values = classes.slice(valuesStart);
+            var pointsIndex = findPointsIndex(values);
+
+            // Whole numbers ahead of the points belong to the name
+            var nameEnd = 0;
+            while (nameEnd < pointsIndex && values[nameEnd].type === 'integer') nameEnd++;
+
+            var record = null;
+            var percentages = [];
+            values.slice(nameEnd).forEach(function (value) {
+                if (value.type === 'record' && !record) record = value.value;
+                else if (value.type === 'percentage') percentages.push(value.value);
+            });
+
+            players.push(createPlayer(
+                parseInt(match[1], 10),
+                tokens.slice(0, valuesStart + nameEnd).join(' '),
+                pointsIndex !== -1 ? values[pointsIndex].value.number : null,
+                record,
+                percentages.length > 0 ? percentages[0] : null,
+                percentages.length > 1 ? percentages[1] : null,
+                percentages.length > 2 ? percentages[2] : null
+            ));
+        });
+
+        return finalizePlayers(players);
+    }
+
+    /**
+     * MTGO standings: rank, username (no spaces), points, then OMW, GW and OGW
+     * as decimals or percentages.
+     *   "1   Karadoc   15   0.6500   0.8000   0.6000"
+     * @param {string} text
+     * @returns {Object[]} players sorted by rank
+     */
+    function parseMtgoText(text) {
+        var players = [];
+
+        text.split(/\r?\n/).forEach(function (line) {
+            var fields = line.trim().split(/[\s,;]+/);
+            if (fields.length < 3) return;
+
+            var rank = parseInteger(fields[0]);
+            var points = parseInteger(fields[2]);
+            if (rank === null || points === null || !/^\d+$/.test(fields[0]) || !/^\d+$/.test(fields[2])) return;
+
+            players.push(createPlayer(
+                rank,
+                fields[1],
+                points,
+                null,
+                parsePercentage(fields[3]),
+                parsePercentage(fields[4]),
+                parsePercentage(fields[5])
+            ));
+        });
+
+        return finalizePlayers(players);
+    }
+
+    // =====================
+    // Detection
+    // =====================
+
+    /**
+     * Guess the export format from its content.
+     * @param {string} text
+     * @returns {string|null} 'melee', 'eventlink', 'mtgo' or null when empty
+     */
+    function detectFormat(text) {
+        var lines = String(text || '').split(/\r?\n/).filter(function (line) { return line.trim() !== ''; });
+        if (lines.length === 0) return null;
+
+        var header = normalizeHeader(lines[0]);
+        if (lines[0].indexOf(',') !== -1 && /rank|player|name/.test(header) && /points|record/.test(header)) {
+            return 'melee';
+        }
+
+        // MTGO usernames never contain spaces: every row is "rank name points [decimals]"
+        var rows = lines.filter(function (line) { return /^\s*\d+[\s,;]/.test(line); });
+        var mtgoRows = rows.filter(function (line) {
+            return /^\s*\d+[\s,;]+\S+[\s,;]+\d+(?:[\s,;]+\d*\.\d+%?){0,3}\s*$/.test(line);
+        });
+        if (rows.length > 0 && mtgoRows.length === rows.length) return 'mtgo';
+
+        return 'eventlink';
+    }
+
+    /**
+     * Parse a standings export in any supported format.
+     * @param {string} text - File contents or pasted text
+     * @param {string} [format] - Force a format instead of detecting it
+     * @returns {{ format: string|null, players: Object[], roundsPlayed: number }}
+     */
+    function parseStandings(text, format) {
+        text = String(text || '');
+        format = format || detectFormat(text);
+
+        var players = [];
+        if (format === 'melee') players = parseMeleeCsv(text);
+        else if (format === 'mtgo') players = parseMtgoText(text);
+        else if (format === 'eventlink') players = parseEventLinkText(text);
+
+        return {
+            format: format,
+            players: players,
+            roundsPlayed: getRoundsPlayed(players)
+        };
+    }
+
+    // =====================
+    // Standings Analysis
+    // =====================
+
+    /**
+     * Rounds played so far: the longest record when records are known,
+     * otherwise the fewest rounds that explain the leader's points.
+     */
+    function getRoundsPlayed(players) {
+        var rounds = 0;
+        var maxPoints = 0;
+        players.forEach(function (player) {
+            if (player.record) {
+                rounds = Math.max(rounds, player.record.wins + player.record.losses + player.record.draws);
+            }
+            maxPoints = Math.max(maxPoints, player.points);
+        });
+        return Math.max(rounds, Math.ceil(maxPoints / 3));
+    }
+
+    /**
+     * Number of players on each point total.
+     * @returns {number[]} histogram[p] = players on p points
+     */
+    function getPointHistogram(players) {
+        var histogram = [];
+        players.forEach(function (player) {
+            while (histogram.length <= player.points) histogram.push(0);
+            histogram[player.points]++;
+        });
+        return histogram;
+    }
+
+    /**
+     * Points of the player in the last prize slot of the current standings.
+     * @returns {number|null}
+     */
+    function getCutoffPoints(players, prizePosition) {
+        if (players.length === 0) return null;
+        var sorted = players.map(function (player) { return player.points; })
+            .sort(function (a, b) { return b - a; });
+        return sorted[Math.min(prizePosition, sorted.length) - 1];
+    }
+
+    /**
+     * Find a player by name, ignoring case, punctuation and "Last, First" order.
+     * @returns {Object|null}
+     */
+    function findPlayer(players, name) {
+        function key(value) {
+            return String(value || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/)
+                .filter(Boolean).sort().join(' ');
+        }
+        var target = key(name);
+        if (target === '') return null;
+        for (var i = 0; i < players.length; i++) {
+            if (key(players[i].name) === target) return players[i];
+        }
+        return null;
+    }
+
+    // =====================
+    // Clinch & Elimination
+    // =====================
+
+    /**
+     * Points the rest of the field hands out in one round: every match among
+     * them gives 2 (draw) to 3 points and an odd player out gets a bye.
+     */
+    function getRoundPointBounds(playing) {
+        var matches = Math.floor(playing / 2);
+        var bye = playing % 2;
+        return { max: matches * 3 + bye * 3, min: matches * 2 + bye * 3 };
+    }
+
+    /**
+     * Most and fewest points the rest of the field can gain in `roundsLeft`
+     * rounds. In a round we play, one of them is our opponent and our losses
+     * and draws give them points; in a round where we have the bye, all of
+     * them play each other.
+     */
+    function getFieldPointBounds(otherCount, roundsLeft, ourResults) {
+        var byeRounds = Math.min(roundsLeft, ourResults.byes || 0);
+        var played = getRoundPointBounds(Math.max(0, otherCount - 1));
+        var benched = getRoundPointBounds(otherCount);
+        var fromUs = ourResults.losses * 3 + ourResults.draws;
+        return {
+            max: (roundsLeft - byeRounds) * played.max + byeRounds * benched.max + fromUs,
+            min: (roundsLeft - byeRounds) * played.min + byeRounds * benched.min + fromUs
+        };
+    }
+
+    /**
+     * Prove whether a final point total has clinched or been eliminated from
+     * the prize positions, whatever the pairings and results of everybody else.
+     * Clinched: even if the field spends every available point helping players
+     * catch up, fewer than `prizePosition` others can finish on `finalPoints`
+     * or more, so not even tiebreakers can push us out.
+     * Eliminated: even if the field spends its points as harmlessly as possible,
+     * at least `prizePosition` others finish strictly above `finalPoints`.
+     * Pairings are relaxed (any player can meet any other), so both proofs also
+     * hold under real Swiss pairings; nobody is assumed to drop.
+     * @param {number[]} otherPoints - Current points of every other player
+     * @param {number} finalPoints - Our final points
+     * @param {number} roundsLeft - Rounds still to play
+     * @param {number} prizePosition - Size of the prize positions (Top X)
+     * @param {{ wins: number, losses: number, draws: number, byes: number }} ourResults - Our results
+     *   in those rounds; `byes` (optional) is how many of the wins are byes
+     * @returns {string|null} 'clinched', 'eliminated' or null when neither can be proven
+     */
+    function getClinchStatus(otherPoints, finalPoints, roundsLeft, prizePosition, ourResults) {
+        var maxGain = roundsLeft * 3;
+        var bounds = getFieldPointBounds(otherPoints.length, roundsLeft, ourResults);
+
+        // Worst case: help the players with the smallest gap reach our total first
+        var gaps = otherPoints.map(function (points) { return Math.max(0, finalPoints - points); })
+            .filter(function (gap) { return gap <= maxGain; })
+            .sort(function (a, b) { return a - b; });
+        var catchUp = 0;
+        var spent = 0;
+        for (var i = 0; i < gaps.length && spent + gaps[i] <= bounds.max; i++) {
+            spent += gaps[i];
+            catchUp++;
+        }
+        if (catchUp < prizePosition) return 'clinched';
+
+        // Best case: let the prizePosition - 1 leaders soak up as many points as they
+        // can; everyone else has to stay on finalPoints or below
+        var sorted = otherPoints.slice().sort(function (a, b) { return b - a; });
+        var above = sorted.filter(function (points) { return points > finalPoints; }).length;
+        if (above >= prizePosition) return 'eliminated';
+
+        var capacity = 0;
+        sorted.forEach(function (points, index) {
+            capacity += index < prizePosition - 1 ? maxGain : Math.min(maxGain, Math.max(0, finalPoints - points));
+        });
+        if (bounds.min > capacity) return 'eliminated';
+
+        return null;
+    }
+
+    var StandingsImport = {
+        FORMAT_LABELS: FORMAT_LABELS,
+        parseCsv: parseCsv,
+        parsePercentage: parsePercentage,
+        parseRecord: parseRecord,
+        parseMeleeCsv: parseMeleeCsv,
+        parseEventLinkText: parseEventLinkText,
+        parseMtgoText: parseMtgoText,
+        detectFormat: detectFormat,
+        parseStandings: parseStandings,
+        getRoundsPlayed: getRoundsPlayed,
+        getPointHistogram: getPointHistogram,
+        getCutoffPoints: getCutoffPoints,
+        findPlayer: findPlayer,
+        getClinchStatus: getClinchStatus
+    };
+
+    root.StandingsImport = StandingsImport;
+})(typeof window !== 'undefined' ? window : this);
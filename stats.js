@@ -0,0 +1,242 @@
+/**
+ * MTG Season Stats
+ * Aggregates every archived tournament saved by the Top 8 page: overall match
+ * win rate, conversion to the prize positions, performance by round number,
+ * how often rounds end in a draw, average finishing points and how well the
+ * OMW% estimate matched the real tiebreakers. The matchup table covers every
+ * saved tournament with tagged rounds, archived or not.
+ */
+
+(function () {
+    'use strict';
+
+    var TOURNAMENTS_KEY = 'mtg_tournaments';
+    var TOURNAMENT_RECORD_PREFIX = 'mtg_tournament_record_';
+
+    // =====================
+    // DOM Elements
+    // =====================
+    var statsRecord = document.getElementById('stats-record');
+    var statsInfo = document.getElementById('stats-info');
+    var statsVerdict = document.getElementById('stats-verdict');
+    var roundsDescription = document.getElementById('rounds-description');
+    var roundsBody = document.getElementById('rounds-body');
+    var matchupsDescription = document.getElementById('matchups-description');
+    var matchupsBody = document.getElementById('matchups-body');
+    var omwDescription = document.getElementById('omw-description');
+    var omwBody = document.getElementById('omw-body');
+    var eventsBody = document.getElementById('events-body');
+
+    // =====================
+    // Aggregation
+    // =====================
+
+    function toCount(value) {
+        var parsed = parseInt(value, 10);
+        return isFinite(parsed) && parsed > 0 ? parsed : 0;
+    }
+
+    function formatPercent(part, total) {
+        return total > 0 ? Math.round((part / total) * 100) + '%' : '—';
+    }
+
+    /**
+     * Final record of one saved tournament: the round tracker when it was
+     * used, otherwise the record typed in by hand.
+     * @returns {{ wins, losses, draws, byes, rounds: string[]|null }}
+     */
+    function getEventRecord(data) {
+        var record = { wins: 0, losses: 0, draws: 0, byes: 0, rounds: null };
+        if (!data || typeof data !== 'object') return record;
+
+        if (data.inProgress && Array.isArray(data.roundResults)) {
+            record.rounds = data.roundResults;
+            data.roundResults.forEach(function (result) {
+                if (result === 'W') record.wins++;
+                else if (result === 'L') record.losses++;
+                else if (result === 'D') record.draws++;
+                else if (result === 'B') record.byes++;
+            });
+        } else {
+            record.wins = toCount(data.wins);
+            record.losses = toCount(data.losses);
+            record.draws = toCount(data.draws);
+        }
+        return record;
+    }
+
+    function getEventPoints(record) {
+        return (record.wins + record.byes) * 3 + record.draws;
+    }
+
+    /**
+     * Season totals over the archived tournaments.
+     */
+    function computeSeasonStats(tournaments) {
+        var stats = {
+            events: tournaments.length,
+            wins: 0, losses: 0, draws: 0, byes: 0,
+            totalPoints: 0,
+            placed: 0, converted: 0,
+            byRound: [],
+            earlyLosses: 0, lateLosses: 0,
+            omw: []
+        };
+
+        tournaments.forEach(function (tournament) {
+            var record = getEventRecord(tournament.data);
+            stats.wins += record.wins;
+            stats.losses += record.losses;
+            stats.draws += record.draws;
+            stats.byes += record.byes;
+            stats.totalPoints += getEventPoints(record);
+
+            var placement = toCount(tournament.placement);
+            if (placement > 0) {
+                var prizePosition = toCount(tournament.data && tournament.data.prizePosition) || 8;
+                stats.placed++;
+                if (placement <= prizePosition) stats.converted++;
+            }
+
+            if (record.rounds) {
+                var half = Math.ceil(record.rounds.length / 2);
+                record.rounds.forEach(function (result, index) {
+                    if (result !== 'W' && result !== 'L' && result !== 'D') return;
+                    while (stats.byRound.length <= index) stats.byRound.push({ wins: 0, losses: 0, draws: 0 });
+                    if (result === 'W') stats.byRound[index].wins++;
+                    else if (result === 'L') stats.byRound[index].losses++;
+                    else stats.byRound[index].draws++;
+                    if (result === 'L') {
+                        if (index < half) stats.earlyLosses++;
+                        else stats.lateLosses++;
+                    }
+                });
+            }
+
+            if (tournament.omw && typeof tournament.omw.estimated === 'number' && typeof tournament.omw.actual === 'number') {
+                stats.omw.push({ name: tournament.name, estimated: tournament.omw.estimated, actual: tournament.omw.actual });
+            }
+        });
+
+        return stats;
+    }
+
+    // =====================
+    // UI
+    // =====================
+
+    function appendRow(body, cells) {
+        var tr = document.createElement('tr');
+        cells.forEach(function (value) {
+            var td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+        });
+        body.appendChild(tr);
+    }
+
+    function render(tournaments) {
+        var stats = computeSeasonStats(tournaments);
+        var matches = stats.wins + stats.losses + stats.draws;
+
+        if (stats.events === 0) {
+            statsRecord.textContent = 'No archived events yet';
+            statsInfo.innerHTML = '<div>Archive finished tournaments on the Top 8 page to see them here.</div>';
+            statsVerdict.textContent = '';
+            roundsDescription.textContent = '';
+            omwDescription.textContent = '';
+            return;
+        }
+
+        statsRecord.textContent = stats.wins + '-' + stats.losses + '-' + stats.draws +
+            (stats.byes > 0 ? ' (+' + stats.byes + ' bye' + (stats.byes !== 1 ? 's' : '') + ')' : '');
+        statsInfo.innerHTML =
+            '<div>' + stats.events + ' archived event' + (stats.events !== 1 ? 's' : '') + '</div>' +
+            '<div>Match win %: ' + formatPercent(stats.wins, matches) + '</div>' +
+            '<div>Draws / IDs: ' + stats.draws + ' (' + formatPercent(stats.draws, matches) + ' of matches)</div>' +
+            '<div>Average finishing points: ' + (stats.totalPoints / stats.events).toFixed(1) + '</div>';
+        statsVerdict.textContent = stats.placed > 0
+            ? 'Converted ' + stats.converted + ' of ' + stats.placed + ' events with a recorded finish into the prize positions (' +
+                formatPercent(stats.converted, stats.placed) + ')'
+            : 'Record your final placement on the Top 8 page to track your conversion rate';
+
+        var trackedLosses = stats.earlyLosses + stats.lateLosses;
+        roundsDescription.textContent = trackedLosses > 0
+            ? formatPercent(stats.earlyLosses, trackedLosses) + ' of your losses came in the first half of an event, ' +
+                formatPercent(stats.lateLosses, trackedLosses) + ' in the second half'
+            : 'Results logged with the round tracker, by round number';
+        roundsBody.innerHTML = '';
+        stats.byRound.forEach(function (round, index) {
+            var played = round.wins + round.losses + round.draws;
+            if (played === 0) return; // only byes in this round
+            appendRow(roundsBody, ['R' + (index + 1), round.wins + '-' + round.losses + '-' + round.draws, formatPercent(round.wins, played)]);
+        });
+
+        omwBody.innerHTML = '';
+        var totalError = 0;
+        stats.omw.forEach(function (entry) {
+            var difference = Math.round((entry.actual - entry.estimated) * 100);
+            totalError += Math.abs(entry.actual - entry.estimated);
+            appendRow(omwBody, [
+                entry.name,
+                Math.round(entry.estimated * 100) + '%',
+                Math.round(entry.actual * 100) + '%',
+                (difference > 0 ? '+' : '') + difference + ' pts'
+            ]);
+        });
+        omwDescription.textContent = stats.omw.length > 0
+            ? 'The estimate was off by ' + Math.round(totalError / stats.omw.length * 100) + ' percentage points on average'
+            : 'Enter opponent records in the round tracker or import the standings to compare';
+
+        eventsBody.innerHTML = '';
+        tournaments.forEach(function (tournament) {
+            var record = getEventRecord(tournament.data);
+            appendRow(eventsBody, [
+                tournament.date,
+                tournament.name + (tournament.format ? ' (' + tournament.format + ')' : ''),
+                tournament.deck || '—',
+                (record.wins + record.byes) + '-' + record.losses + '-' + record.draws,
+                getEventPoints(record),
+                toCount(tournament.placement) > 0 ? '#' + toCount(tournament.placement) : '—'
+            ]);
+        });
+    }
+
+    function renderMatchups(tournaments) {
+        var matrix = Matchups.buildMatchupMatrix(tournaments);
+        matchupsBody.innerHTML = '';
+        matrix.forEach(function (cell) {
+            appendRow(matchupsBody, [
+                cell.deck,
+                cell.archetype,
+                cell.wins + '-' + cell.losses + '-' + cell.draws,
+                formatPercent(cell.wins, cell.matches),
+                cell.gameWinRate !== null ? Math.round(cell.gameWinRate * 100) + '%' : '—'
+            ]);
+        });
+        matchupsDescription.textContent = matrix.length > 0
+            ? 'Matchups with ' + Matchups.MIN_MATCHES + ' or more matches set your win rate for the next round when you tag its archetype'
+            : 'Tag your deck and your opponents\' archetypes in the round tracker to build this table';
+    }
+
+    // =====================
+    // Initialize
+    // =====================
+    MtgStorage.open(function () {
+        var store = MtgStorage.get(TOURNAMENTS_KEY);
+        var tournaments = store && Array.isArray(store.tournaments) ? store.tournaments : [];
+        // Each tournament's data is saved on its own; lists the Top 8 page has not
+        // split yet still hold it inline
+        tournaments.forEach(function (tournament) {
+            if (!tournament || tournament.data !== undefined) return;
+            var record = MtgStorage.get(TOURNAMENT_RECORD_PREFIX + tournament.id);
+            tournament.data = record && record.data ? record.data : null;
+        });
+        renderMatchups(tournaments);
+        render(tournaments.filter(function (tournament) {
+            return tournament && tournament.archived;
+        }).sort(function (a, b) {
+            return String(b.date).localeCompare(String(a.date));
+        }));
+    });
+})();
@@ -0,0 +1,325 @@
+/**
+ * MTG Storage
+ * Versioned key-value storage shared by the Top 8, Day 2 and Season Stats pages.
+ * Records live in IndexedDB when it is available, otherwise in localStorage,
+ * otherwise in memory for the current visit. Every record is saved with the
+ * schema version of its key; registered migrations upgrade older records when
+ * they are read, so changes to the data model never drop saved tournaments.
+ * Records saved by a newer version of the app are never overwritten, since
+ * this version would drop the fields it does not know.
+ *
+ * Reads are synchronous: open() loads every record into memory once, and
+ * writes go to memory first and are persisted in the background.
+ */
+
+(function (root) {
+    'use strict';
+
+    var DB_NAME = 'mtg-calculator';
+    var DB_VERSION = 1;          // IndexedDB layout, not the record schema versions
+    var STORE_NAME = 'records';
+    var KEY_PREFIX = 'mtg_';     // localStorage keys owned by the app
+
+    var cache = {};              // key -> { schemaVersion, value }
+    var migrations = {};         // key -> { steps: [fn], legacyKeys: [key] }
+    var mode = 'memory';         // 'indexeddb', 'local' or 'memory'
+    var db = null;
+    var opened = false;
+    var pending = [];
+
+    // =====================
+    // Schema Versions
+    // =====================
+
+    /**
+     * Register the migrations of a key. steps[i] turns a version i value into
+     * version i + 1, so the current version of the key is steps.length.
+     * Values saved before versioning existed count as version 0.
+     * @param {string} key
+     * @param {Function[]} steps
+     * @param {Object} [options] - { legacyKeys: keys whose value is an older version of this record }
+     */
+    function registerMigrations(key, steps, options) {
+        migrations[key] = {
+            steps: steps,
+            legacyKeys: (options && options.legacyKeys) || []
+        };
+    }
+
+    function getSchemaVersion(key) {
+        return migrations[key] ? migrations[key].steps.length : 0;
+    }
+
+    function isRecord(stored) {
+        return stored !== null && typeof stored === 'object' &&
+            typeof stored.schemaVersion === 'number' && Object.prototype.hasOwnProperty.call(stored, 'value');
+    }
+
+    /**
+     * Whether the saved record of a key comes from a newer version of the app
+     */
+    function isFromNewerVersion(key) {
+        var stored = cache[key];
+        return isRecord(stored) && stored.schemaVersion > getSchemaVersion(key);
+    }
+
+    /**
+     * Run the migrations a stored record is missing. Records written by a newer
+     * version of the app are returned untouched rather than discarded.
+     * @returns {{ schemaVersion: number, value: * }}
+     */
+    function upgradeRecord(key, stored) {
+        var record = isRecord(stored) ? stored : { schemaVersion: 0, value: stored };
+        var steps = migrations[key] ? migrations[key].steps : [];
+
+        for (var version = record.schemaVersion; version < steps.length; version++) {
+            record = { schemaVersion: version + 1, value: steps[version](record.value) };
+        }
+        return record;
+    }
+
+    // =====================
+    // Backends
+    // =====================
+
+    function readLocalStorage() {
+        var records = {};
+        try {
+            for (var i = 0; i < localStorage.length; i++) {
+                var key = localStorage.key(i);
+                if (key.indexOf(KEY_PREFIX) !== 0) continue;
+                try {
+                    records[key] = JSON.parse(localStorage.getItem(key));
+                } catch (e) {
+                    // Not JSON, so not written by this app: leave it alone
+                }
+            }
+        } catch (e) {
+            return null;
+        }
+        return records;
+    }
+
+    function isLocalStorageAvailable() {
+        var testKey = '__mtg_storage_test__';
+        try {
+            localStorage.setItem(testKey, '1');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function persist(key) {
+        var record = cache[key];
+
+        if (mode === 'indexeddb') {
+            try {
+                var tx = db.transaction(STORE_NAME, 'readwrite');
+                var store = tx.objectStore(STORE_NAME);
+                if (record) store.put(record, key);
+                else store.delete(key);
+                tx.onerror = function () {
+                    fallBackFromIndexedDB();
+                };
+                return true;
+            } catch (e) {
+                fallBackFromIndexedDB();
+            }
+        }
+
+        if (mode === 'local') {
+            try {
+                if (record) localStorage.setItem(key, JSON.stringify(record));
+                else localStorage.removeItem(key);
+                return true;
+            } catch (e) {
+                mode = 'memory';
+            }
+        }
+        return false;
+    }
+
+    /**
+     * IndexedDB stopped accepting writes (quota, private mode): keep going with
+     * localStorage, rewriting everything held in memory.
+     */
+    function fallBackFromIndexedDB() {
+        mode = isLocalStorageAvailable() ? 'local' : 'memory';
+        Object.keys(cache).forEach(persist);
+    }
+
+    function loadFromIndexedDB(done) {
+        var request;
+        try {
+            request = indexedDB.open(DB_NAME, DB_VERSION);
+        } catch (e) {
+            done(false);
+            return;
+        }
+
+        request.onupgradeneeded = function () {
+            request.result.createObjectStore(STORE_NAME);
+        };
+        request.onerror = function () {
+            done(false);
+        };
+        request.onblocked = function () {
+            done(false);
+        };
+        request.onsuccess = function () {
+            db = request.result;
+            var store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+            var cursorRequest = store.openCursor();
+            var found = false;
+
+            cursorRequest.onsuccess = function () {
+                var cursor = cursorRequest.result;
+                if (cursor) {
+                    cache[cursor.key] = cursor.value;
+                    found = true;
+                    cursor.continue();
+                    return;
+                }
+                mode = 'indexeddb';
+                if (!found) importLocalStorage();
+                done(true);
+            };
+            cursorRequest.onerror = function () {
+                done(false);
+            };
+        };
+    }
+
+    /**
+     * First run with IndexedDB: bring over what earlier versions saved in
+     * localStorage, and remove it there once it is safely stored.
+     */
+    function importLocalStorage() {
+        var records = readLocalStorage();
+        if (!records || Object.keys(records).length === 0) return;
+
+        var tx = db.transaction(STORE_NAME, 'readwrite');
+        var store = tx.objectStore(STORE_NAME);
+        Object.keys(records).forEach(function (key) {
+            cache[key] = records[key];
+            store.put(records[key], key);
+        });
+        tx.oncomplete = function () {
+            Object.keys(records).forEach(function (key) {
+                try {
+                    localStorage.removeItem(key);
+                } catch (e) {
+                    // Keeping a stale copy is harmless: IndexedDB is read first
+                }
+            });
+        };
+    }
+
+    // =====================
+    // Public API
+    // =====================
+
+    /**
+     * Load every saved record, then call `callback`. Safe to call more than once.
+     * @param {Function} callback - (mode) => void
+     */
+    function open(callback) {
+        if (opened) {
+            callback(mode);
+            return;
+        }
+        pending.push(callback);
+        if (pending.length > 1) return;
+
+        function finish(usedIndexedDB) {
+            if (!usedIndexedDB) {
+                db = null;
+                mode = isLocalStorageAvailable() ? 'local' : 'memory';
+                if (mode === 'local') cache = readLocalStorage() || {};
+            }
+            opened = true;
+            var callbacks = pending;
+            pending = [];
+            callbacks.forEach(function (fn) { fn(mode); });
+        }
+
+        if (typeof indexedDB === 'undefined' || !indexedDB) {
+            finish(false);
+            return;
+        }
+        var finished = false;
+        loadFromIndexedDB(function (ok) {
+            if (finished) return;
+            finished = true;
+            finish(ok);
+        });
+    }
+
+    /**
+     * Current value of a key, upgraded to its latest schema version.
+     * A missing key is filled from its registered legacy keys, if any.
+     * @returns {*} the value, or null when nothing is saved
+     */
+    function get(key) {
+        if (!Object.prototype.hasOwnProperty.call(cache, key)) {
+            var legacyKeys = migrations[key] ? migrations[key].legacyKeys : [];
+            for (var i = 0; i < legacyKeys.length; i++) {
+                if (!Object.prototype.hasOwnProperty.call(cache, legacyKeys[i])) continue;
+                cache[key] = upgradeRecord(key, cache[legacyKeys[i]]);
+                persist(key);
+                remove(legacyKeys[i]);
+                return cache[key].value;
+            }
+            return null;
+        }
+
+        var stored = cache[key];
+        var record = upgradeRecord(key, stored);
+        if (record.schemaVersion !== (isRecord(stored) ? stored.schemaVersion : 0)) {
+            cache[key] = record;
+            persist(key);
+        }
+        return record.value;
+    }
+
+    /**
+     * Save a value under the current schema version of its key. A record
+     * saved by a newer version of the app is left as it is.
+     * @returns {boolean} true when it was written to persistent storage
+     */
+    function set(key, value) {
+        if (isFromNewerVersion(key)) return false;
+        cache[key] = { schemaVersion: getSchemaVersion(key), value: value };
+        return persist(key);
+    }
+
+    /**
+     * Delete a key. A record saved by a newer version of the app is left as it is.
+     * @returns {boolean} true when it was removed from persistent storage
+     */
+    function remove(key) {
+        if (isFromNewerVersion(key)) return false;
+        delete cache[key];
+        return persist(key);
+    }
+
+    function getMode() {
+        return mode;
+    }
+
+    var MtgStorage = {
+        registerMigrations: registerMigrations,
+        getSchemaVersion: getSchemaVersion,
+        isFromNewerVersion: isFromNewerVersion,
+        upgradeRecord: upgradeRecord,
+        open: open,
+        get: get,
+        set: set,
+        remove: remove,
+        getMode: getMode
+    };
+
+    root.MtgStorage = MtgStorage;
+})(typeof window !== 'undefined' ? window : this);
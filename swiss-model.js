@@ -0,0 +1,483 @@
+/**
+ * MTG Swiss Model
+ * Monte Carlo simulation of a synthetic Swiss field. Pairs players round by
+ * round inside their point brackets and produces the distribution of final
+ * standings used to estimate prize-position probabilities.
+ * Also provides an exact dynamic-programming model of the expected number
+ * of players on each point total under idealized Swiss pairings.
+ * Both models can shrink the field between rounds to reflect player drops
+ * and the Day 2 cut of multi-day events.
+ */
+
+(function (root) {
+    'use strict';
+
+    var DEFAULT_OPTIONS = {
+        iterations: 400,
+        drawRate: 0.04,   // share of matches that end in a draw
+        winRate: 0.5,     // chance that the higher-seated player wins a decisive match
+        dropRates: [],    // dropRates[n] = chance a player with n losses drops after a round (last entry applies to more)
+        activeCounts: [], // activeCounts[r] = known number of players paired in round r + 1 (0 = unknown);
+                          // a round 1 count replaces the registered player count
+        dayCut: null,     // { afterRound, minPoints }: only players on minPoints or more continue into Day 2
+        seed: 1337
+    };
+
+    // Recent results only: typing a player count runs a model for every partial value
+    var MAX_CACHE_ENTRIES = 8;
+    var cache = {};
+    var cacheKeys = [];
+
+    function remember(key, result) {
+        cache[key] = result;
+        cacheKeys.push(key);
+        if (cacheKeys.length > MAX_CACHE_ENTRIES) delete cache[cacheKeys.shift()];
+        return result;
+    }
+
+    // =====================
+    // Random Numbers
+    // =====================
+
+    /**
+     * Small seeded PRNG (mulberry32) so that repeated calculations
+     * with the same inputs give the same numbers.
+     */
+    function createRandom(seed) {
+        var state = seed >>> 0;
+        return function () {
+            state = (state + 0x6D2B79F5) >>> 0;
+            var t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function shuffle(list, random) {
+        for (var i = list.length - 1; i > 0; i--) {
+            var j = Math.floor(random() * (i + 1));
+            var tmp = list[i];
+            list[i] = list[j];
+            list[j] = tmp;
+        }
+        return list;
+    }
+
+    function resolveOptions(options) {
+        var resolved = {};
+        for (var key in DEFAULT_OPTIONS) {
+            resolved[key] = (options && options[key] !== undefined && options[key] !== null) ? options[key] : DEFAULT_OPTIONS[key];
+        }
+        resolved.drawRate = Math.max(0, Math.min(1, resolved.drawRate));
+        resolved.winRate = Math.max(0, Math.min(1, resolved.winRate));
+        resolved.dropRates = Array.isArray(resolved.dropRates) ? resolved.dropRates : [];
+        resolved.activeCounts = Array.isArray(resolved.activeCounts) ? resolved.activeCounts : [];
+        resolved.dayCut = resolved.dayCut && resolved.dayCut.afterRound > 0 ? resolved.dayCut : null;
+        return resolved;
+    }
+
+    function getDropRate(dropRates, losses) {
+        if (dropRates.length === 0) return 0;
+        return dropRates[Math.min(losses, dropRates.length - 1)] || 0;
+    }
+
+    /**
+     * Players paired in round 1: the known count when there is one (no-shows
+     * never enter the standings), otherwise everyone registered.
+     */
+    function getFieldSize(numPlayers, options) {
+        return options.activeCounts[0] > 0 ? options.activeCounts[0] : numPlayers;
+    }
+
+    function getCacheKey(prefix, numPlayers, totalRounds, opts) {
+        return [prefix, numPlayers, totalRounds, opts.iterations, opts.drawRate, opts.winRate, opts.seed,
+            opts.dropRates.join(','), opts.activeCounts.join(','),
+            opts.dayCut ? opts.dayCut.afterRound + '/' + opts.dayCut.minPoints : ''].join('|');
+    }
+
+    // =====================
+    // Swiss Simulation
+    // =====================
+
+    /**
+     * Order active players for pairing: highest points first, random order inside
+     * each point bracket. Adjacent players are then paired, which pairs within
+     * brackets and pairs down the odd player of a bracket.
+     */
+    function getPairingOrder(points, active, maxPoints, random) {
+        var buckets = [];
+        for (var p = 0; p <= maxPoints; p++) buckets.push([]);
+        for (var i = 0; i < points.length; i++) {
+            if (active[i]) buckets[points[i]].push(i);
+        }
+
+        var order = [];
+        for (var b = maxPoints; b >= 0; b--) {
+            if (buckets[b].length === 0) continue;
+            shuffle(buckets[b], random);
+            for (var k = 0; k < buckets[b].length; k++) order.push(buckets[b][k]);
+        }
+        return order;
+    }
+
+    /**
+     * Remove players between rounds. The Day 2 cut removes everyone below the
+     * threshold; a known player count for the next round drops the lowest-ranked
+     * players; otherwise each player drops at the rate for their number of losses.
+     */
+    function applyDrops(points, losses, active, nextRound, options, random) {
+        var known = options.activeCounts[nextRound] || 0;
+        var i;
+
+        // Day 2 cut: everyone below the threshold is out
+        if (options.dayCut && options.dayCut.afterRound === nextRound) {
+            for (i = 0; i < points.length; i++) {
+                if (points[i] < options.dayCut.minPoints) active[i] = false;
+            }
+        }
+
+        if (known > 0) {
+            var order = getPairingOrder(points, active, nextRound * 3, random);
+            for (i = order.length - 1; i >= known; i--) active[order[i]] = false;
+            return;
+        }
+
+        for (i = 0; i < points.length; i++) {
+            if (active[i] && random() < getDropRate(options.dropRates, losses[i])) active[i] = false;
+        }
+    }
+
+    /**
+     * Play one synthetic tournament and return every player's final points.
+     * Dropped players keep the points they had when they left.
+     */
+    function simulateTournament(numPlayers, totalRounds, options, random) {
+        var points = [];
+        var losses = [];
+        var active = [];
+        var fieldSize = getFieldSize(numPlayers, options);
+        for (var i = 0; i < fieldSize; i++) {
+            points.push(0);
+            losses.push(0);
+            active.push(true);
+        }
+
+        for (var r = 0; r < totalRounds; r++) {
+            if (r > 0) applyDrops(points, losses, active, r, options, random);
+
+            var order = getPairingOrder(points, active, r * 3, random);
+
+            // Odd field: the lowest-ranked player gets the bye (counts as a win)
+            if (order.length % 2 === 1) {
+                points[order.pop()] += 3;
+            }
+
+            for (var t = 0; t < order.length; t += 2) {
+                var high = order[t];
+                var low = order[t + 1];
+                var roll = random();
+                if (roll < options.drawRate) {
+                    points[high] += 1;
+                    points[low] += 1;
+                } else if (random() < options.winRate) {
+                    points[high] += 3;
+                    losses[low]++;
+                } else {
+                    points[low] += 3;
+                    losses[high]++;
+                }
+            }
+        }
+
+        return points;
+    }
+
+    /**
+     * Run the Monte Carlo simulation.
+     * @param {number} numPlayers - Total number of players
+     * @param {number} totalRounds - Number of Swiss rounds
+     * @param {Object} [options] - { iterations, drawRate, winRate, dropRates, activeCounts, seed }
+     * @returns {{ iterations: number, maxPoints: number, counts: number[][] }}
+     *   counts[i][p] is how many players finished on p points in iteration i
+     */
+    function runSimulation(numPlayers, totalRounds, options) {
+        var opts = resolveOptions(options);
+        var key = getCacheKey('simulation', numPlayers, totalRounds, opts);
+        if (cache[key]) return cache[key];
+
+        var random = createRandom(opts.seed);
+        var maxPoints = totalRounds * 3;
+        var counts = [];
+
+        for (var it = 0; it < opts.iterations; it++) {
+            var finalPoints = simulateTournament(numPlayers, totalRounds, opts, random);
+            var histogram = [];
+            for (var p = 0; p <= maxPoints; p++) histogram.push(0);
+            for (var i = 0; i < finalPoints.length; i++) histogram[finalPoints[i]]++;
+            counts.push(histogram);
+        }
+
+        return remember(key, { iterations: opts.iterations, maxPoints: maxPoints, counts: counts });
+    }
+
+    // =====================
+    // Exact Distribution
+    // =====================
+
+    function addMass(list, index, amount) {
+        if (amount > 0) list[index] += amount;
+    }
+
+    /**
+     * How odd an expected player count is: 0 for even counts, 1 for odd ones,
+     * in between for fractional counts
+     */
+    function getOddness(count) {
+        var remainder = count % 2;
+        return remainder <= 1 ? remainder : 2 - remainder;
+    }
+
+    /**
+     * Exact expected number of players on each point total after `totalRounds`
+     * rounds of idealized Swiss. Each round, brackets are paired from the top:
+     * when the players in and above a bracket are an odd number, one player
+     * pairs down into the next bracket, and only an odd field gives the player
+     * left at the bottom a bye.
+     * Drops are applied between rounds; losses are approximated from the points
+     * a bracket is behind the perfect record.
+     * @param {number} numPlayers - Total number of players
+     * @param {number} totalRounds - Number of Swiss rounds
+     * @param {Object} [options] - { drawRate, winRate, dropRates, activeCounts }
+     * @returns {number[]} expected[p] = expected players finishing on p points
+     */
+    function computePointDistribution(numPlayers, totalRounds, options) {
+        return projectPointDistribution([getFieldSize(numPlayers, resolveOptions(options))], 0, totalRounds, options);
+    }
+
+    /**
+     * Same model as computePointDistribution, started from a known field
+     * (e.g. imported live standings) after `roundsPlayed` rounds.
+     * @param {number[]} startHistogram - startHistogram[p] = players currently on p points
+     * @param {number} roundsPlayed - Rounds already played
+     * @param {number} totalRounds - Number of Swiss rounds
+     * @param {Object} [options] - { drawRate, winRate, dropRates, activeCounts }
+     * @returns {number[]} expected[p] = expected players finishing on p points
+     */
+    function projectPointDistribution(startHistogram, roundsPlayed, totalRounds, options) {
+        var opts = resolveOptions(options);
+        var decisive = 1 - opts.drawRate;
+        var maxPoints = totalRounds * 3;
+        var expected = [];
+        for (var p = 0; p <= maxPoints; p++) {
+            expected.push(p <= roundsPlayed * 3 ? (startHistogram[p] || 0) : 0);
+        }
+
+        var dropped = [];
+        for (var z = 0; z <= maxPoints; z++) dropped.push(0);
+
+        for (var r = roundsPlayed; r < totalRounds; r++) {
+            if (r > 0) applyExpectedDrops(expected, dropped, r, opts);
+
+            var next = [];
+            for (var q = 0; q <= maxPoints; q++) next.push(0);
+
+            var carryMass = 0;   // player paired down from the bracket above
+            var carryPoints = 0;
+            var above = 0;       // players in this bracket and the ones above
+
+            for (var b = r * 3; b >= 0; b--) {
+                var mass = expected[b];
+                if (mass <= 0) continue;
+                above += mass;
+
+                // Pair-down match against the player carried from above
+                if (carryMass > 0) {
+                    var matched = Math.min(carryMass, mass);
+                    addMass(next, carryPoints + 3, matched * decisive * opts.winRate);
+                    addMass(next, carryPoints + 1, matched * opts.drawRate);
+                    addMass(next, carryPoints, matched * decisive * (1 - opts.winRate));
+                    addMass(next, b + 3, matched * decisive * (1 - opts.winRate));
+                    addMass(next, b + 1, matched * opts.drawRate);
+                    addMass(next, b, matched * decisive * opts.winRate);
+                    carryMass -= matched;
+                    mass -= matched;
+                    if (carryMass > 0) continue; // upper player still looking for an opponent
+                }
+
+                // Odd number of players so far: one player pairs down
+                var pairDown = Math.min(getOddness(above), mass);
+                var paired = mass - pairDown;
+                addMass(next, b + 3, paired * decisive / 2);
+                addMass(next, b + 1, paired * opts.drawRate);
+                addMass(next, b, paired * decisive / 2);
+
+                if (pairDown > 0) {
+                    carryMass = pairDown;
+                    carryPoints = b;
+                }
+            }
+
+            // Nobody left to pair with: a bye in an odd field. Otherwise what is
+            // left is a fraction of a player, paired like the rest of the bracket
+            if (carryMass > 0) {
+                if (Math.round(above) % 2 === 1) {
+                    addMass(next, carryPoints + 3, carryMass);
+                } else {
+                    addMass(next, carryPoints + 3, carryMass * decisive / 2);
+                    addMass(next, carryPoints + 1, carryMass * opts.drawRate);
+                    addMass(next, carryPoints, carryMass * decisive / 2);
+                }
+            }
+
+            expected = next;
+        }
+
+        for (var f = 0; f <= maxPoints; f++) expected[f] += dropped[f];
+        return expected;
+    }
+
+    /**
+     * Move expected player mass from the active field to `dropped` between rounds.
+     */
+    function applyExpectedDrops(expected, dropped, nextRound, options) {
+        var known = options.activeCounts[nextRound] || 0;
+        var b, amount;
+
+        if (options.dayCut && options.dayCut.afterRound === nextRound) {
+            for (b = 0; b < options.dayCut.minPoints && b < expected.length; b++) {
+                dropped[b] += expected[b];
+                expected[b] = 0;
+            }
+        }
+
+        if (known > 0) {
+            var activeTotal = 0;
+            for (b = 0; b < expected.length; b++) activeTotal += expected[b];
+            var excess = activeTotal - known;
+            for (b = 0; b < expected.length && excess > 0; b++) {
+                amount = Math.min(expected[b], excess);
+                expected[b] -= amount;
+                dropped[b] += amount;
+                excess -= amount;
+            }
+            return;
+        }
+
+        for (b = 0; b <= nextRound * 3; b++) {
+            var lossEstimate = Math.floor((nextRound * 3 - b) / 3);
+            amount = expected[b] * getDropRate(options.dropRates, lossEstimate);
+            expected[b] -= amount;
+            dropped[b] += amount;
+        }
+    }
+
+    /**
+     * Exact model in the same shape as runSimulation, so both can be analyzed
+     * with the same standings functions.
+     */
+    function runExactModel(numPlayers, totalRounds, options) {
+        var opts = resolveOptions(options);
+        var key = getCacheKey('exact', numPlayers, totalRounds, opts);
+        if (cache[key]) return cache[key];
+
+        return remember(key, {
+            iterations: 1,
+            maxPoints: totalRounds * 3,
+            counts: [computePointDistribution(numPlayers, totalRounds, opts)],
+            exact: true
+        });
+    }
+
+    // =====================
+    // Standings Analysis
+    // =====================
+
+    /**
+     * Average number of players on each point total across a model's standings.
+     */
+    function getExpectedHistogram(model) {
+        var histogram = [];
+        for (var p = 0; p <= model.maxPoints; p++) {
+            var sum = 0;
+            for (var i = 0; i < model.counts.length; i++) sum += model.counts[i][p];
+            histogram.push(sum / model.counts.length);
+        }
+        return histogram;
+    }
+
+    /**
+     * Chance that a player finishing on `points` is inside the top `prizePosition`
+     * of one final standings histogram. Players tied on the same total split the
+     * remaining slots evenly (tiebreakers treated as a coin flip).
+     */
+    function getSlotShare(histogram, points, prizePosition) {
+        var above = 0;
+        for (var p = histogram.length - 1; p > points; p--) above += histogram[p];
+        var slots = prizePosition - above;
+        if (slots <= 0) return 0;
+        var tied = Math.max(1, histogram[points] || 0);
+        return Math.min(1, slots / tied);
+    }
+
+    /**
+     * Probability (0-1) of making the prize position with a final point total,
+     * averaged over every simulated tournament.
+     */
+    function getPrizeProbability(simulation, points, prizePosition) {
+        if (points > simulation.maxPoints) return 1;
+        var total = 0;
+        for (var i = 0; i < simulation.counts.length; i++) {
+            total += getSlotShare(simulation.counts[i], points, prizePosition);
+        }
+        return total / simulation.counts.length;
+    }
+
+    /**
+     * Probability (0-1) that a player finishing on `points` ends up ranked between
+     * `firstRank` and `lastRank` (inclusive). Within a point total every rank
+     * among the tied players is treated as equally likely.
+     */
+    function getRankRangeProbability(model, points, firstRank, lastRank) {
+        var total = 0;
+        for (var i = 0; i < model.counts.length; i++) {
+            var histogram = model.counts[i];
+            var above = 0;
+            for (var p = histogram.length - 1; p > points; p--) above += histogram[p];
+            var tied = Math.max(1, histogram[points] || 0);
+            var overlap = Math.min(above + tied, lastRank) - Math.max(above + 1, firstRank) + 1;
+            if (overlap > 0) total += Math.min(1, overlap / tied);
+        }
+        return total / model.counts.length;
+    }
+
+    /**
+     * Lowest point total that makes the prize position at least `minProbability` of the time.
+     */
+    function getCutoffPoints(simulation, prizePosition, minProbability) {
+        var target = minProbability === undefined ? 0.5 : minProbability;
+        for (var p = 0; p <= simulation.maxPoints; p++) {
+            if (getPrizeProbability(simulation, p, prizePosition) >= target) return p;
+        }
+        return simulation.maxPoints;
+    }
+
+    var SwissModel = {
+        DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+        createRandom: createRandom,
+        simulateTournament: function (numPlayers, totalRounds, options) {
+            var opts = resolveOptions(options);
+            return simulateTournament(numPlayers, totalRounds, opts, createRandom(opts.seed));
+        },
+        runSimulation: runSimulation,
+        computePointDistribution: computePointDistribution,
+        projectPointDistribution: projectPointDistribution,
+        runExactModel: runExactModel,
+        getExpectedHistogram: getExpectedHistogram,
+        getPrizeProbability: getPrizeProbability,
+        getRankRangeProbability: getRankRangeProbability,
+        getCutoffPoints: getCutoffPoints
+    };
+
+    root.SwissModel = SwissModel;
+})(typeof window !== 'undefined' ? window : this);
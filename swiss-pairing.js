@@ -0,0 +1,239 @@
+/**
+ * MTG Swiss Pairing
+ * Pairs one Swiss round the way the Magic Tournament Rules describe it:
+ * players are paired at random inside their point group, odd groups pair one
+ * player down, rematches are avoided and, with an odd number of players, the
+ * lowest-ranked player who has not had a bye yet receives it.
+ * Repeating the pairing with different seeds predicts the bracket of a
+ * player's next opponent, and pairing the field before the last round shows
+ * which top tables can intentionally draw into the prize positions.
+ * Works on plain data, without the DOM; needs swiss-model.js loaded first
+ * (or, in Node, next to it).
+ */
+
+(function (root) {
+    'use strict';
+
+    // Give up on avoiding rematches after this many backtracking steps
+    var MAX_BACKTRACK_STEPS = 20000;
+
+    // Seeded PRNG shared with the standings model, so a given seed always gives the same pairings
+    var SwissModel = root.SwissModel || require('./swiss-model.js').SwissModel;
+    var createRandom = SwissModel.createRandom;
+
+    /**
+     * Highest points first; players on the same points in random order.
+     */
+    function getPairingOrder(players, random) {
+        var order = players.map(function (player) {
+            return { player: player, key: random() };
+        });
+        order.sort(function (a, b) {
+            return (b.player.points - a.player.points) || (a.key - b.key);
+        });
+        return order.map(function (entry) { return entry.player; });
+    }
+
+    function havePlayed(a, b) {
+        return (a.opponents || []).indexOf(b.id) !== -1 || (b.opponents || []).indexOf(a.id) !== -1;
+    }
+
+    /**
+     * Pair players in order: each unpaired player takes the next player below
+     * them they have not played yet, backtracking when someone is left without
+     * a legal opponent. Returns null when the step budget runs out.
+     */
+    function pairInOrder(order, allowRematches) {
+        var used = [];
+        var pairs = [];
+        var steps = 0;
+
+        function pairFrom(start) {
+            while (start < order.length && used[start]) start++;
+            if (start >= order.length) return true;
+
+            used[start] = true;
+            for (var j = start + 1; j < order.length; j++) {
+                if (used[j] || (!allowRematches && havePlayed(order[start], order[j]))) continue;
+                if (++steps > MAX_BACKTRACK_STEPS) break;
+
+                used[j] = true;
+                pairs.push([order[start], order[j]]);
+                if (pairFrom(start + 1)) return true;
+                pairs.pop();
+                used[j] = false;
+            }
+            used[start] = false;
+            return false;
+        }
+
+        return pairFrom(0) ? pairs : null;
+    }
+
+    /**
+     * Pair one Swiss round.
+     * @param {Object[]} players - { id, points, hadBye?, opponents?: [id] }
+     * @param {Object} [options] - { random: () => number in [0, 1), seed }
+     * @returns {{ tables: Object[], bye: Object|null, rematches: boolean }}
+     *   tables[i] = { table: i + 1, players: [higher, lower] }, top table first
+     */
+    function pairRound(players, options) {
+        options = options || {};
+        var random = options.random || createRandom(options.seed || 1);
+        var order = getPairingOrder(players, random);
+
+        // Odd field: bye to the lowest-ranked player without one
+        var bye = null;
+        if (order.length % 2 === 1) {
+            var byeIndex = order.length - 1;
+            for (var i = order.length - 1; i >= 0; i--) {
+                if (!order[i].hadBye) {
+                    byeIndex = i;
+                    break;
+                }
+            }
+            bye = order.splice(byeIndex, 1)[0];
+        }
+
+        var pairs = pairInOrder(order, false);
+        var rematches = pairs === null;
+        if (rematches) pairs = pairInOrder(order, true);
+
+        return {
+            tables: pairs.map(function (pair, index) {
+                return { table: index + 1, players: pair };
+            }),
+            bye: bye,
+            rematches: rematches
+        };
+    }
+
+    /**
+     * Pair the next round `samples` times and count the point totals of the
+     * given player's opponent.
+     * @param {Object[]} players - Same shape as pairRound
+     * @param {*} playerId - id of the player to follow
+     * @param {number} [samples=200]
+     * @param {number} [seed=1]
+     * @returns {{ opponentPoints: Object, byeShare: number, samples: number }}
+     *   opponentPoints[points] = share of pairings against an opponent on those points
+     */
+    function predictOpponentPoints(players, playerId, samples, seed) {
+        samples = samples || 200;
+        var random = createRandom(seed || 1);
+        var counts = {};
+        var byes = 0;
+
+        for (var s = 0; s < samples; s++) {
+            var round = pairRound(players, { random: random });
+            if (round.bye && round.bye.id === playerId) {
+                byes++;
+                continue;
+            }
+            for (var t = 0; t < round.tables.length; t++) {
+                var pair = round.tables[t].players;
+                var opponent = pair[0].id === playerId ? pair[1] : (pair[1].id === playerId ? pair[0] : null);
+                if (opponent) {
+                    counts[opponent.points] = (counts[opponent.points] || 0) + 1;
+                    break;
+                }
+            }
+        }
+
+        var opponentPoints = {};
+        Object.keys(counts).forEach(function (points) {
+            opponentPoints[points] = counts[points] / samples;
+        });
+        return { opponentPoints: opponentPoints, byeShare: byes / samples, samples: samples };
+    }
+
+    // =====================
+    // Top-Table ID Report
+    // =====================
+
+    /**
+     * How many players of a table that plays its match end on `points` or more
+     * (or strictly more), as the fewest and the most over win / loss / draw.
+     */
+    function getTableReach(pair, points, strict) {
+        function reaches(value) {
+            return strict ? value > points : value >= points;
+        }
+        var outcomes = [
+            [pair[0] + 3, pair[1]],
+            [pair[0], pair[1] + 3],
+            [pair[0] + 1, pair[1] + 1]
+        ].map(function (finals) {
+            return (reaches(finals[0]) ? 1 : 0) + (reaches(finals[1]) ? 1 : 0);
+        });
+        return { min: Math.min.apply(null, outcomes), max: Math.max.apply(null, outcomes) };
+    }
+
+    /**
+     * Can both players at each of the top tables draw into the prize positions
+     * in the last round? The field before the last round is paired by points
+     * (pairing down where needed); for each table, every table above it is
+     * assumed to ID too while everybody below plays their match.
+     * The lower player's final points are:
+     *  - 'safe' when even if every table below breaks the right way for them,
+     *    the prize positions still fit everyone on that total or more;
+     *  - 'out' when enough players are certain to finish above them anyway;
+     *  - 'tiebreakers' otherwise: it depends on results below and tiebreakers.
+     * @param {number[]} histogram - histogram[p] = players on p points before the last round
+     * @param {number} prizePosition - Size of the prize positions (Top X)
+     * @param {number} [tableCount] - Tables to report (default: prize positions / 2 + 1)
+     * @returns {Object[]} { table, points: [higher, lower], idPoints: [higher, lower],
+     *   catchUp, verdict: 'safe' | 'tiebreakers' | 'out' }
+     */
+    function getTopTableIdReport(histogram, prizePosition, tableCount) {
+        var field = [];
+        for (var p = histogram.length - 1; p >= 0; p--) {
+            for (var n = 0; n < Math.round(histogram[p] || 0); n++) field.push(p);
+        }
+
+        var pairs = [];
+        for (var i = 0; i + 1 < field.length; i += 2) pairs.push([field[i], field[i + 1]]);
+        tableCount = Math.min(pairs.length, tableCount || Math.floor(prizePosition / 2) + 1);
+
+        var report = [];
+        for (var t = 0; t < tableCount; t++) {
+            var idPoints = [pairs[t][0] + 1, pairs[t][1] + 1];
+            var target = idPoints[1];
+
+            // Tables above and this one ID; the lower player here is the one at risk
+            var atOrAbove = t * 2 + 1;
+            var above = 0;
+            for (var u = 0; u <= t; u++) {
+                if (pairs[u][0] + 1 > target) above++;
+                if (u < t && pairs[u][1] + 1 > target) above++;
+            }
+
+            var catchUp = 0;
+            for (var v = t + 1; v < pairs.length; v++) {
+                catchUp += getTableReach(pairs[v], target, false).max;
+                above += getTableReach(pairs[v], target, true).min;
+            }
+
+            var verdict = 'tiebreakers';
+            if (atOrAbove + catchUp < prizePosition) verdict = 'safe';
+            else if (above >= prizePosition) verdict = 'out';
+
+            report.push({
+                table: t + 1,
+                points: pairs[t].slice(),
+                idPoints: idPoints,
+                catchUp: catchUp,
+                verdict: verdict
+            });
+        }
+        return report;
+    }
+
+    var SwissPairing = {
+        pairRound: pairRound,
+        predictOpponentPoints: predictOpponentPoints,
+        getTopTableIdReport: getTopTableIdReport
+    };
+
+    root.SwissPairing = SwissPairing;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,84 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+
+var MtgCore = require('../mtg-core.js').MtgCore;
+var SwissModel = require('../swiss-model.js').SwissModel;
+
+test('clamps saved whole numbers and falls back on anything else', function () {
+    assert.equal(MtgCore.sanitizeInt('12', 0, 0, 20), 12);
+    assert.equal(MtgCore.sanitizeInt(99, 0, 0, 20), 20);
+    assert.equal(MtgCore.sanitizeInt(-3, 0, 0, 20), 0);
+    assert.equal(MtgCore.sanitizeInt('abc', 7, 0, 20), 7);
+    assert.equal(MtgCore.sanitizeInt(undefined, 7), 7);
+});
+
+test('generates every record and scenario, most wins first', function () {
+    assert.deepEqual(MtgCore.generateAllRecords(2).map(function (record) {
+        return MtgCore.formatRecord(record.wins, record.losses, record.draws);
+    }), ['2-0-0', '1-0-1', '1-1-0', '0-0-2', '0-1-1', '0-2-0']);
+    assert.equal(MtgCore.generateAllRecords(4).length, 15);
+    assert.deepEqual(MtgCore.generateScenarios(1), [
+        { extraWins: 1, extraLosses: 0, extraDraws: 0 },
+        { extraWins: 0, extraLosses: 0, extraDraws: 1 },
+        { extraWins: 0, extraLosses: 1, extraDraws: 0 }
+    ]);
+    assert.deepEqual(MtgCore.generateScenarios(0), [{ extraWins: 0, extraLosses: 0, extraDraws: 0 }]);
+    assert.equal(MtgCore.getScenarioLabel({ extraWins: 2, extraLosses: 0, extraDraws: 1 }), '2W 1D');
+    assert.equal(MtgCore.getScenarioLabel({ extraWins: 0, extraLosses: 0, extraDraws: 0 }), '—');
+});
+
+test('finds the point threshold of a prize position', function () {
+    // 32 players, 5 rounds, Top 8: 10 points (3-1-1) makes it at least half of the time
+    var exact = SwissModel.runExactModel(32, 5);
+    assert.equal(MtgCore.getThresholdPoints(exact, 32, 8), 10);
+    assert.equal(MtgCore.getThresholdPoints(exact, 8, 8), 0);
+
+    // 200 players, 8 rounds, Top 64 in the simulation
+    var simulation = SwissModel.runSimulation(200, 8);
+    assert.equal(MtgCore.getThresholdPoints(simulation, 200, 64), 15);
+});
+
+test('estimates the prize chance and adjusts it for tiebreakers at the threshold', function () {
+    var simulation = SwissModel.runSimulation(200, 8);
+    function chances(omw) {
+        return [13, 14, 15].map(function (points) {
+            return MtgCore.estimatePrizePositionProbability(simulation, points, 200, 64, 15, omw);
+        });
+    }
+
+    assert.deepEqual(chances(), [1, 28, 98]);
+    assert.deepEqual(chances(0.6), [6, 38, 100]);
+    assert.deepEqual(chances(0.35), [0, 18, 83]);
+    assert.equal(MtgCore.estimatePrizePositionProbability(simulation, 0, 8, 8, 0), 100);
+
+    assert.equal(MtgCore.getTiebreakerAdjustment(1, 0.6), 0);
+    assert.equal(MtgCore.getTiebreakerAdjustment(-3, 0.6), 0);
+    assert.equal(MtgCore.getTiebreakerAdjustment(0, 0.52), 5);
+    assert.equal(MtgCore.getTiebreakerAdjustment(-1, 0.43), -5);
+    assert.equal(MtgCore.getTiebreakerAdjustment(0, 0.48), 0);
+});
+
+test('estimates OMW% from the order of the results', function () {
+    assert.equal(MtgCore.estimateOMW([], 4), null);
+    assert.equal(MtgCore.estimateOMW(['B', null], 4), null);
+
+    // Opponents at 0-0 and 1-0, both beaten: 46% and 58.5%
+    assert.equal(MtgCore.estimateOMW(['W', 'W', null, null], 4), 0.5225);
+    // A bye moves us up a bracket without adding an opponent
+    assert.equal(MtgCore.estimateOMW(['B', 'W'], 4), 0.585);
+    // Opponents from the bottom brackets count at the 33% floor
+    assert.ok(Math.abs(MtgCore.estimateOMW(['L', 'L', 'L', 'W'], 4) - (0.54 + 0.415 + 0.33 + 0.33) / 4) < 1e-9);
+});
+
+test('labels probabilities with the shared cut points', function () {
+    assert.deepEqual([90, 89, 60, 59, 25, 24, 3, 2].map(function (prob) {
+        return MtgCore.getStatusInfo(prob).text;
+    }), ['Locked In', 'Likely', 'Likely', 'Possible', 'Possible', 'Unlikely', 'Unlikely', 'Out']);
+    assert.deepEqual([85, 84, 60, 30, 5, 4].map(MtgCore.getProbClass),
+        ['prob-high', 'prob-likely', 'prob-likely', 'prob-medium', 'prob-low', 'prob-none']);
+    assert.equal(MtgCore.getVerdict(95, 8).text, 'You are almost certainly making Top 8!');
+    assert.equal(MtgCore.getVerdict(60, 16).class, 'verdict-likely');
+    assert.equal(MtgCore.getVerdict(2, 8).class, 'verdict-eliminated');
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+
+var QrCode = require('../qr-code.js').QrCode;
+
+// ISO/IEC 18004 reference values, written out rather than computed
+// Format information of error correction level M, by mask
+var FORMAT_BITS_M = [0x5412, 0x5125, 0x5E7C, 0x5B4B, 0x45F9, 0x40CE, 0x4F97, 0x4AA0];
+// Version information of version 7
+var VERSION_7_BITS = 0x07C94;
+// Byte mode capacity at level M, by version
+var BYTE_CAPACITY_M = [0, 14, 26, 42, 62, 84, 106, 122, 152, 180, 213];
+
+var MASKS = [
+    function (x, y) { return (x + y) % 2 === 0; },
+    function (x, y) { return y % 2 === 0; },
+    function (x) { return x % 3 === 0; },
+    function (x, y) { return (x + y) % 3 === 0; },
+    function (x, y) { return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; },
+    function (x, y) { return x * y % 2 + x * y % 3 === 0; },
+    function (x, y) { return (x * y % 2 + x * y % 3) % 2 === 0; },
+    function (x, y) { return ((x + y) % 2 + x * y % 3) % 2 === 0; }
+];
+
+function readBits(modules, positions) {
+    return positions.reduce(function (bits, position, index) {
+        return modules[position[1]][position[0]] ? bits | (1 << index) : bits;
+    }, 0);
+}
+
+function readFormatBits(qr) {
+    var first = [];
+    var second = [];
+    for (var i = 0; i < 15; i++) {
+        if (i < 6) first.push([8, i]);
+        else if (i < 8) first.push([8, i + 1]);
+        else if (i === 8) first.push([7, 8]);
+        else first.push([14 - i, 8]);
+        second.push(i < 8 ? [qr.size - 1 - i, 8] : [8, qr.size - 15 + i]);
+    }
+    return [readBits(qr.modules, first), readBits(qr.modules, second)];
+}
+
+function multiply(x, y) {
+    var product = 0;
+    for (var i = 7; i >= 0; i--) {
+        product = (product << 1) ^ ((product >>> 7) * 0x11D);
+        if ((y >>> i) & 1) product ^= x;
+    }
+    return product;
+}
+
+/**
+ * Read the codewords of a version 1 symbol back in the zigzag order
+ */
+function readVersion1Codewords(qr, mask) {
+    function isFunction(x, y) {
+        return x === 6 || y === 6 || (x <= 8 && y <= 8) || (x >= 13 && y <= 8) || (x <= 8 && y >= 13);
+    }
+
+    var bits = [];
+    for (var right = 20; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        var upward = ((right + 1) & 2) === 0;
+        for (var vert = 0; vert < 21; vert++) {
+            var y = upward ? 20 - vert : vert;
+            for (var x = right; x >= right - 1; x--) {
+                if (!isFunction(x, y)) bits.push(qr.modules[y][x] !== MASKS[mask](x, y) ? 1 : 0);
+            }
+        }
+    }
+
+    var codewords = [];
+    for (var i = 0; i < bits.length; i += 8) {
+        codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+    return codewords;
+}
+
+test('picks the smallest version that holds the text', function () {
+    for (var version = 1; version <= QrCode.MAX_VERSION; version++) {
+        var qr = QrCode.encodeText(new Array(BYTE_CAPACITY_M[version] + 1).join('a'));
+        assert.equal(qr.version, version);
+        assert.equal(qr.size, 17 + 4 * version);
+        assert.equal(qr.modules.length, qr.size);
+    }
+    assert.equal(QrCode.encodeText(new Array(15 + 1).join('a')).version, 2);
+    assert.equal(QrCode.encodeText(new Array(214 + 1).join('a')), null);
+});
+
+test('writes both copies of the level M format information', function () {
+    ['?s=1.64.8.fnm', 'https://example.com/?s=1.64.8.fnm.0.0.WWL_D.8-18.50.4.80'].forEach(function (text) {
+        var qr = QrCode.encodeText(text);
+        var copies = readFormatBits(qr);
+        assert.equal(copies[0], copies[1]);
+        assert.notEqual(FORMAT_BITS_M.indexOf(copies[0]), -1);
+        assert.equal(qr.modules[qr.size - 8][8], true);
+    });
+});
+
+test('writes the version information from version 7', function () {
+    var qr = QrCode.encodeText(new Array(BYTE_CAPACITY_M[7] + 1).join('a'));
+    var below = [];
+    var right = [];
+    for (var i = 0; i < 18; i++) {
+        below.push([Math.floor(i / 3), qr.size - 11 + i % 3]);
+        right.push([qr.size - 11 + i % 3, Math.floor(i / 3)]);
+    }
+    assert.equal(readBits(qr.modules, below), VERSION_7_BITS);
+    assert.equal(readBits(qr.modules, right), VERSION_7_BITS);
+});
+
+test('stores the text in byte mode with valid error correction', function () {
+    var text = '?s=1.64.8.fnm';
+    var qr = QrCode.encodeText(text);
+    assert.equal(qr.version, 1);
+
+    var codewords = readVersion1Codewords(qr, FORMAT_BITS_M.indexOf(readFormatBits(qr)[0]));
+    assert.equal(codewords.length, 26);
+
+    // Mode 0100 (byte), 8-bit length, then the bytes
+    assert.equal(codewords[0] >>> 4, 4);
+    var length = ((codewords[0] & 0x0F) << 4) | (codewords[1] >>> 4);
+    assert.equal(length, text.length);
+    var decoded = '';
+    for (var i = 0; i < length; i++) {
+        decoded += String.fromCharCode(((codewords[i + 1] & 0x0F) << 4) | (codewords[i + 2] >>> 4));
+    }
+    assert.equal(decoded, text);
+
+    // Every root of the level M generator (alpha^0 to alpha^9) is a root of the codeword
+    var alpha = 1;
+    for (var root = 0; root < 10; root++) {
+        var syndrome = codewords.reduce(function (sum, codeword) { return multiply(sum, alpha) ^ codeword; }, 0);
+        assert.equal(syndrome, 0);
+        alpha = multiply(alpha, 2);
+    }
+});
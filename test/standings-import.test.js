@@ -0,0 +1,112 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fs = require('fs');
+var path = require('path');
+
+var StandingsImport = require('../standings-import.js').StandingsImport;
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+function summarize(players) {
+    return players.map(function (player) {
+        return [player.rank, player.name, player.points];
+    });
+}
+
+test('detects the format of each fixture', function () {
+    assert.equal(StandingsImport.detectFormat(readFixture('melee.csv')), 'melee');
+    assert.equal(StandingsImport.detectFormat(readFixture('eventlink.txt')), 'eventlink');
+    assert.equal(StandingsImport.detectFormat(readFixture('mtgo.txt')), 'mtgo');
+    assert.equal(StandingsImport.detectFormat('  \n '), null);
+});
+
+test('parses the Melee.gg CSV fixture by header name', function () {
+    var result = StandingsImport.parseStandings(readFixture('melee.csv'));
+    assert.deepEqual(summarize(result.players), [
+        [1, 'Smith, John', 12],
+        [2, 'Jane Doe', 10],
+        [3, 'Player 2 Name', 9],
+        [4, 'Karl "KJ" Jensen', 6]
+    ]);
+    assert.deepEqual(result.players[1].record, { wins: 3, losses: 0, draws: 1 });
+    assert.equal(result.players[0].omw, 62.5);
+    assert.equal(result.players[0].ogw, 58.33);
+    assert.equal(result.roundsPlayed, 4);
+});
+
+test('parses the EventLink fixture with names that contain numbers', function () {
+    var result = StandingsImport.parseStandings(readFixture('eventlink.txt'));
+    assert.equal(result.format, 'eventlink');
+    assert.deepEqual(summarize(result.players), [
+        [1, 'Smith, John', 12],
+        [2, 'Jane Doe', 10],
+        [3, 'Player 2 Name', 9],
+        [4, 'Jensen, Karl', 6]
+    ]);
+    assert.deepEqual(result.players[0].record, { wins: 4, losses: 0, draws: 0 });
+    assert.deepEqual(result.players[1].record, { wins: 3, losses: 0, draws: 1 });
+    assert.deepEqual(result.players[2].record, { wins: 3, losses: 1, draws: 0 });
+    assert.deepEqual([result.players[2].omw, result.players[2].gw, result.players[2].ogw], [66.67, 63.64, 57.14]);
+    assert.equal(result.roundsPlayed, 4);
+});
+
+test('takes the last number of an EventLink row as the points', function () {
+    var players = StandingsImport.parseEventLinkText('3 Player 2 Name 9');
+    assert.deepEqual(summarize(players), [[3, 'Player 2 Name', 9]]);
+});
+
+test('keeps a W-L-D record before the points out of the name', function () {
+    var players = StandingsImport.parseEventLinkText('4   Jensen, Karl   2 - 2 - 0   6   50.00%');
+    assert.deepEqual(summarize(players), [[4, 'Jensen, Karl', 6]]);
+    assert.deepEqual(players[0].record, { wins: 2, losses: 2, draws: 0 });
+    assert.equal(players[0].omw, 50);
+});
+
+test('prefers the number marked pts over a later one', function () {
+    var players = StandingsImport.parseEventLinkText('7. Team 7 Bot 12 pts 4');
+    assert.deepEqual(summarize(players), [[7, 'Team 7 Bot', 12]]);
+});
+
+test('derives EventLink points from the record when there are none', function () {
+    var players = StandingsImport.parseEventLinkText('5 Solo Player 3-0-1');
+    assert.deepEqual(summarize(players), [[5, 'Solo Player', 10]]);
+});
+
+test('parses the MTGO fixture with decimal tiebreakers', function () {
+    var result = StandingsImport.parseStandings(readFixture('mtgo.txt'));
+    assert.deepEqual(summarize(result.players), [
+        [1, 'Karadoc', 12],
+        [2, 'jane_doe', 10],
+        [3, 'Player2Name', 9],
+        [4, 'KJensen', 6]
+    ]);
+    assert.equal(result.players[0].omw, 62.5);
+    assert.equal(result.players[3].ogw, 48);
+    assert.equal(result.roundsPlayed, 4);
+});
+
+test('finds players regardless of name order and punctuation', function () {
+    var players = StandingsImport.parseStandings(readFixture('eventlink.txt')).players;
+    assert.equal(StandingsImport.findPlayer(players, 'john smith').rank, 1);
+    assert.equal(StandingsImport.findPlayer(players, 'Nobody'), null);
+    assert.deepEqual(StandingsImport.getPointHistogram(players), [0, 0, 0, 0, 0, 0, 1, 0, 0, 1, 1, 0, 1]);
+    assert.equal(StandingsImport.getCutoffPoints(players, 2), 10);
+});
+
+test('proves clinch and elimination from the full standings', function () {
+    var win = { wins: 1, losses: 0, draws: 0 };
+    assert.equal(StandingsImport.getClinchStatus([0, 0, 0], 9, 1, 1, win), 'clinched');
+    assert.equal(StandingsImport.getClinchStatus([12, 12, 0], 9, 1, 2, win), 'eliminated');
+    assert.equal(StandingsImport.getClinchStatus([9, 6, 6, 3], 9, 1, 2, win), null);
+});
+
+test('leaves the field fewer points when our win is the bye', function () {
+    // With an opponent, the other player gets the bye and passes us; with our
+    // bye the two of them can draw and only tie us
+    assert.equal(StandingsImport.getClinchStatus([5, 5], 6, 1, 1, { wins: 1, losses: 0, draws: 0 }), 'eliminated');
+    assert.equal(StandingsImport.getClinchStatus([5, 5], 6, 1, 1, { wins: 1, losses: 0, draws: 0, byes: 1 }), null);
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+
+// A minimal localStorage, filled before the storage layer opens
+var saved = {};
+global.localStorage = {
+    get length() { return Object.keys(saved).length; },
+    key: function (index) { return Object.keys(saved)[index]; },
+    getItem: function (key) { return Object.prototype.hasOwnProperty.call(saved, key) ? saved[key] : null; },
+    setItem: function (key, value) { saved[key] = String(value); },
+    removeItem: function (key) { delete saved[key]; }
+};
+
+saved.mtg_old = JSON.stringify({ count: 1 });
+saved.mtg_newer = JSON.stringify({ schemaVersion: 3, value: { count: 1, extra: 'kept' } });
+
+var MtgStorage = require('../storage.js').MtgStorage;
+
+MtgStorage.registerMigrations('mtg_old', [function (value) { return { count: value.count + 1 }; }]);
+MtgStorage.registerMigrations('mtg_newer', [function (value) { return value; }]);
+
+function openStorage() {
+    return new Promise(function (resolve) { MtgStorage.open(resolve); });
+}
+
+test('upgrades unversioned records when they are read', function () {
+    return openStorage().then(function (mode) {
+        assert.equal(mode, 'local');
+        assert.deepEqual(MtgStorage.get('mtg_old'), { count: 2 });
+        assert.deepEqual(JSON.parse(saved.mtg_old), { schemaVersion: 1, value: { count: 2 } });
+    });
+});
+
+test('never overwrites a record saved by a newer version', function () {
+    return openStorage().then(function () {
+        assert.equal(MtgStorage.isFromNewerVersion('mtg_newer'), true);
+        assert.deepEqual(MtgStorage.get('mtg_newer'), { count: 1, extra: 'kept' });
+        assert.equal(MtgStorage.set('mtg_newer', { count: 2 }), false);
+        assert.deepEqual(JSON.parse(saved.mtg_newer), { schemaVersion: 3, value: { count: 1, extra: 'kept' } });
+        assert.deepEqual(MtgStorage.get('mtg_newer'), { count: 1, extra: 'kept' });
+    });
+});
+
+test('never deletes a record saved by a newer version', function () {
+    return openStorage().then(function () {
+        assert.equal(MtgStorage.remove('mtg_newer'), false);
+        assert.deepEqual(MtgStorage.get('mtg_newer'), { count: 1, extra: 'kept' });
+        assert.ok(saved.mtg_newer);
+    });
+});
+
+/**
+ * Just enough of IndexedDB for the storage layer: one object store, written
+ * synchronously, with callbacks fired on the next turn like the real thing
+ */
+function createIndexedDB(records) {
+    var data = JSON.parse(JSON.stringify(records));
+    var later = setImmediate;
+
+    function createStore() {
+        return {
+            put: function (value, key) { data[key] = JSON.parse(JSON.stringify(value)); },
+            delete: function (key) { delete data[key]; },
+            openCursor: function () {
+                var request = { result: null };
+                var keys = Object.keys(data);
+                var index = 0;
+                function step() {
+                    request.result = index < keys.length ? {
+                        key: keys[index],
+                        value: data[keys[index]],
+                        continue: function () {
+                            index++;
+                            later(step);
+                        }
+                    } : null;
+                    request.onsuccess();
+                }
+                later(step);
+                return request;
+            }
+        };
+    }
+
+    var db = {
+        createObjectStore: function () {},
+        transaction: function () {
+            var tx = { objectStore: createStore };
+            later(function () { if (tx.oncomplete) tx.oncomplete(); });
+            return tx;
+        }
+    };
+
+    return {
+        data: data,
+        open: function () {
+            var request = { result: null };
+            later(function () {
+                request.result = db;
+                request.onupgradeneeded();
+                request.onsuccess();
+            });
+            return request;
+        }
+    };
+}
+
+test('keeps records in IndexedDB and refuses to replace newer ones there', function () {
+    global.indexedDB = createIndexedDB({
+        mtg_deck: { schemaVersion: 0, value: 'Boros' },
+        mtg_future: { schemaVersion: 4, value: { name: 'Now', added: true } }
+    });
+    delete require.cache[require.resolve('../storage.js')];
+    var storage = require('../storage.js').MtgStorage;
+    storage.registerMigrations('mtg_deck', [function (value) { return { name: value }; }]);
+
+    return new Promise(function (resolve) { storage.open(resolve); }).then(function (mode) {
+        assert.equal(mode, 'indexeddb');
+        var data = global.indexedDB.data;
+
+        assert.deepEqual(storage.get('mtg_deck'), { name: 'Boros' });
+        assert.deepEqual(data.mtg_deck, { schemaVersion: 1, value: { name: 'Boros' } });
+        assert.equal(storage.set('mtg_deck', { name: 'Jeskai' }), true);
+        assert.deepEqual(data.mtg_deck, { schemaVersion: 1, value: { name: 'Jeskai' } });
+
+        assert.equal(storage.isFromNewerVersion('mtg_future'), true);
+        assert.equal(storage.set('mtg_future', { name: 'Older' }), false);
+        assert.equal(storage.remove('mtg_future'), false);
+        assert.deepEqual(data.mtg_future, { schemaVersion: 4, value: { name: 'Now', added: true } });
+
+        assert.equal(storage.remove('mtg_deck'), true);
+        assert.equal(data.mtg_deck, undefined);
+        assert.equal(storage.get('mtg_deck'), null);
+    });
+});
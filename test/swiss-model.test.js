@@ -0,0 +1,39 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+
+var SwissModel = require('../swiss-model.js').SwissModel;
+
+function sum(list) {
+    return list.reduce(function (total, value) { return total + value; }, 0);
+}
+
+test('keeps an even field symmetric, without byes', function () {
+    // Without draws every record mirrors its opposite: 5-0 and 0-5, 4-1 and 1-4, ...
+    var expected = SwissModel.computePointDistribution(32, 5, { drawRate: 0 });
+    assert.ok(Math.abs(sum(expected) - 32) < 1e-9);
+    for (var p = 0; p <= 15; p++) {
+        assert.ok(Math.abs(expected[p] - expected[15 - p]) < 1e-9, 'points ' + p);
+    }
+    assert.ok(Math.abs(expected[15] - 1) < 1e-9);
+
+    // With draws the two ends still match
+    var withDraws = SwissModel.computePointDistribution(32, 5);
+    assert.ok(Math.abs(sum(withDraws) - 32) < 1e-9);
+    assert.ok(Math.abs(withDraws[0] - withDraws[15]) < 1e-9);
+    assert.ok(withDraws[0] > 0.5);
+});
+
+test('gives the bye to the bottom of an odd field', function () {
+    var expected = SwissModel.computePointDistribution(33, 5, { drawRate: 0 });
+    assert.ok(Math.abs(sum(expected) - 33) < 1e-9);
+    assert.ok(expected[0] < expected[15]);
+});
+
+test('matches the simulation at both ends of the standings', function () {
+    var exact = SwissModel.computePointDistribution(32, 5);
+    var simulated = SwissModel.getExpectedHistogram(SwissModel.runSimulation(32, 5));
+    assert.ok(Math.abs(exact[0] - simulated[0]) < 0.2);
+    assert.ok(Math.abs(exact[15] - simulated[15]) < 0.2);
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+
+var SwissPairing = require('../swiss-pairing.js').SwissPairing;
+
+function createField(points) {
+    return points.map(function (value, index) {
+        return { id: index, points: value };
+    });
+}
+
+function describeRound(round) {
+    return {
+        tables: round.tables.map(function (table) {
+            return table.players.map(function (player) { return player.id; });
+        }),
+        bye: round.bye ? round.bye.id : null,
+        rematches: round.rematches
+    };
+}
+
+test('pairs the same way for the same seed', function () {
+    var field = createField([9, 9, 6, 6, 6, 6, 3, 3, 0, 0]);
+    var first = describeRound(SwissPairing.pairRound(field, { seed: 7 }));
+    var second = describeRound(SwissPairing.pairRound(field, { seed: 7 }));
+    assert.deepEqual(first, second);
+    assert.equal(first.tables.length, 5);
+    assert.equal(first.rematches, false);
+});
+
+test('pairs inside point groups and pairs down the odd player', function () {
+    var field = createField([9, 6, 6, 6, 3, 3]);
+    var round = SwissPairing.pairRound(field, { seed: 3 });
+    var points = round.tables.map(function (table) {
+        return table.players.map(function (player) { return player.points; });
+    });
+    assert.deepEqual(points, [[9, 6], [6, 6], [3, 3]]);
+});
+
+test('avoids rematches named in the pairing history', function () {
+    var field = createField([6, 6, 6, 6]);
+    field[0].opponents = [1];
+    field[2].opponents = [3];
+    for (var seed = 1; seed <= 20; seed++) {
+        var round = SwissPairing.pairRound(field, { seed: seed });
+        assert.equal(round.rematches, false);
+        round.tables.forEach(function (table) {
+            var ids = table.players.map(function (player) { return player.id; }).sort();
+            assert.notDeepEqual(ids, [0, 1]);
+            assert.notDeepEqual(ids, [2, 3]);
+        });
+    }
+});
+
+test('falls back to a rematch when there is no other way', function () {
+    var field = createField([3, 0]);
+    field[0].opponents = [1];
+    var round = SwissPairing.pairRound(field, { seed: 1 });
+    assert.equal(round.rematches, true);
+    assert.equal(round.tables.length, 1);
+});
+
+test('gives the bye to the lowest-ranked player without one', function () {
+    var field = createField([6, 3, 3, 0, 0]);
+    assert.equal(SwissPairing.pairRound(field, { seed: 5 }).bye.points, 0);
+
+    field[3].hadBye = true;
+    field[4].hadBye = true;
+    var round = SwissPairing.pairRound(field, { seed: 5 });
+    assert.equal(round.bye.points, 3);
+    assert.equal(round.bye.hadBye, undefined);
+});
+
+test('predicts the next opponent deterministically from the history', function () {
+    var field = createField([9, 9, 6, 6, 6, 3, 0]);
+    var first = SwissPairing.predictOpponentPoints(field, 0, 100, 1);
+    assert.deepEqual(SwissPairing.predictOpponentPoints(field, 0, 100, 1), first);
+    assert.equal(first.opponentPoints[9], 1);
+
+    // Having played the other 9-point player, we pair down every time
+    field[0].opponents = [1];
+    var history = SwissPairing.predictOpponentPoints(field, 0, 100, 1);
+    assert.equal(history.opponentPoints[9], undefined);
+    assert.equal(history.opponentPoints[6], 1);
+
+    // The lowest player gets the bye unless they already had one
+    var bottom = SwissPairing.predictOpponentPoints(field, 6, 100, 1);
+    assert.equal(bottom.byeShare, 1);
+    field[6].hadBye = true;
+    assert.equal(SwissPairing.predictOpponentPoints(field, 6, 100, 1).byeShare, 0);
+});
+
+test('reports which top tables can ID before the last round', function () {
+    // 8 players before the last of 4 rounds, Top 4
+    var report = SwissPairing.getTopTableIdReport([1, 0, 0, 3, 0, 0, 3, 0, 0, 1], 4);
+    assert.deepEqual(report.map(function (row) {
+        return [row.table, row.points, row.verdict];
+    }), [
+        [1, [9, 6], 'safe'],
+        [2, [6, 6], 'safe'],
+        [3, [3, 3], 'out']
+    ]);
+});